@@ -0,0 +1,397 @@
+#!/usr/bin/env node
+/**
+ * Command-line QR code generator
+ *
+ *   node qrcode-cli.js "text" -e H -o out.svg
+ *   echo "text" | node qrcode-cli.js -o out.png
+ *   node qrcode-cli.js --batch labels.csv -o "labels/{sku}.png"
+ *   node qrcode-cli.js --capacity -e Q < long.txt
+ *
+ * Exit codes: 0 success, 1 unexpected or I/O error, 2 bad input or
+ * options, 3 data too long for the symbol.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const QRCode = require('./qrcode.js');
+
+const EXIT_ERROR = 1;
+const EXIT_BAD_INPUT = 2;
+const EXIT_TOO_LONG = 3;
+
+const USAGE = `Usage: node qrcode-cli.js [options] [text]
+       node qrcode-cli.js --batch <file.csv|file.jsonl> -o <template> [options]
+
+Reads the text from stdin when it is omitted or "-".
+
+Output:
+  -o, --output <file>       .svg, .png, .txt or .json (metadata); text to stdout if omitted
+  -f, --format <format>     svg, png, txt or json, overriding the extension
+
+Generation:
+  -e, --ecc <level>         L, M (default), Q or H
+      --min-version <n>     Smallest version (1-40)
+      --max-version <n>     Largest version (1-40)
+      --mask <n>            Mask pattern instead of the lowest-penalty one
+      --mode <mode>         NUMERIC, ALPHANUMERIC, BYTE or KANJI for the whole text
+      --boost-ecc           Raise the ECC level while the version stays the same
+      --micro               Micro QR (M1-M4)
+      --rmqr                Rectangular Micro QR
+      --max-height <n>      Tallest rMQR symbol in modules
+      --eci <n>             ECI designator: 26 (UTF-8), 3 (ISO-8859-1) or 20 (Shift JIS)
+      --latin1              ISO-8859-1 byte segments when every character fits
+      --gs1                 Text is a GS1 element string such as (01)09501101530003
+      --capacity            Report the bits needed and the smallest version per
+                            ECC level instead of writing a code
+
+Rendering:
+  -s, --module-size <n>     Pixels (PNG) or user units (SVG) per module
+  -m, --margin <n>          Quiet zone in modules
+      --foreground <color>  SVG dark module color
+      --background <color>  SVG background color
+      --dpi <n>             PNG pHYs resolution, or SVG size in mm
+      --text-format <name>  compact (default), ascii or ansi
+      --invert              Light modules drawn for text output
+
+Batch:
+  -b, --batch <file>        CSV with a header row, or JSONL of objects or strings
+      --field <name>        Column or key holding the data (default: data)
+
+  The output is a template: {n} is the row number and {name} a column.
+
+Exit codes: 0 success, 1 error, 2 bad input, 3 data too long.
+`;
+
+const OPTIONS = {
+    output: { type: 'string', short: 'o' },
+    format: { type: 'string', short: 'f' },
+    ecc: { type: 'string', short: 'e' },
+    'min-version': { type: 'string' },
+    'max-version': { type: 'string' },
+    mask: { type: 'string' },
+    mode: { type: 'string' },
+    'boost-ecc': { type: 'boolean' },
+    micro: { type: 'boolean' },
+    rmqr: { type: 'boolean' },
+    'max-height': { type: 'string' },
+    eci: { type: 'string' },
+    latin1: { type: 'boolean' },
+    gs1: { type: 'boolean' },
+    capacity: { type: 'boolean' },
+    'module-size': { type: 'string', short: 's' },
+    margin: { type: 'string', short: 'm' },
+    foreground: { type: 'string' },
+    background: { type: 'string' },
+    dpi: { type: 'string' },
+    'text-format': { type: 'string' },
+    invert: { type: 'boolean' },
+    batch: { type: 'string', short: 'b' },
+    field: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const FORMATS = { '.svg': 'svg', '.png': 'png', '.txt': 'txt', '.json': 'json' };
+
+// Thrown for anything the caller got wrong, as opposed to I/O failures
+class UsageError extends Error {}
+
+// ============================================================
+// OPTIONS
+// ============================================================
+
+function toInteger(values, name) {
+    if (values[name] === undefined) return undefined;
+    const value = Number(values[name]);
+    if (!Number.isInteger(value)) {
+        throw new UsageError(`--${name} needs an integer, got ${values[name]}`);
+    }
+    return value;
+}
+
+function getGenerateOptions(values) {
+    const options = {
+        eccLevel: values.ecc ? values.ecc.toUpperCase() : 'M',
+        minVersion: toInteger(values, 'min-version'),
+        maxVersion: toInteger(values, 'max-version'),
+        mask: toInteger(values, 'mask'),
+        mode: values.mode ? values.mode.toUpperCase() : undefined,
+        boostEcc: values['boost-ecc'],
+        micro: values.micro,
+        rmqr: values.rmqr,
+        maxHeight: toInteger(values, 'max-height'),
+        eci: toInteger(values, 'eci'),
+        latin1: values.latin1,
+        gs1: values.gs1
+    };
+
+    for (const key of Object.keys(options)) {
+        if (options[key] === undefined) delete options[key];
+    }
+    return options;
+}
+
+function getRenderOptions(values) {
+    const options = {
+        moduleSize: toInteger(values, 'module-size'),
+        margin: toInteger(values, 'margin'),
+        foreground: values.foreground,
+        background: values.background,
+        dpi: toInteger(values, 'dpi'),
+        format: values['text-format'],
+        invert: values.invert
+    };
+
+    for (const key of Object.keys(options)) {
+        if (options[key] === undefined) delete options[key];
+    }
+    return options;
+}
+
+function getFormat(file, values) {
+    if (values.format) {
+        if (!Object.values(FORMATS).includes(values.format)) {
+            throw new UsageError(`Unknown format: ${values.format} (expected svg, png, txt or json)`);
+        }
+        return values.format;
+    }
+
+    const format = FORMATS[path.extname(file).toLowerCase()];
+    if (!format) {
+        throw new UsageError(`Cannot infer the format of ${file}; use .svg, .png, .txt, .json or --format`);
+    }
+    return format;
+}
+
+// ============================================================
+// OUTPUT
+// ============================================================
+
+function renderOutput(qr, format, renderOptions) {
+    if (format === 'svg') {
+        const { moduleSize, margin, foreground, background, dpi } = renderOptions;
+        return QRCode.toSVG(qr, { moduleSize, margin, foreground, background, dpi });
+    }
+    if (format === 'png') {
+        const { moduleSize, margin, dpi } = renderOptions;
+        return QRCode.toPNG(qr, { moduleSize, margin, dpi });
+    }
+    if (format === 'json') {
+        // Matrix rows as strings of 0 and 1 keep the file readable
+        const { matrix, ...metadata } = qr;
+        metadata.matrix = matrix.map(row => row.join(''));
+        return `${JSON.stringify(metadata, null, 2)}\n`;
+    }
+
+    const { margin, format: textFormat, invert } = renderOptions;
+    return `${QRCode.toString(qr, { margin, format: textFormat, invert })}\n`;
+}
+
+function writeOutput(file, content) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+}
+
+function exitCodeFor(error) {
+    if (error instanceof UsageError) return EXIT_BAD_INPUT;
+    if (error instanceof QRCode.DataTooLongError) return EXIT_TOO_LONG;
+    // Node's system errors carry a code such as ENOENT; anything else
+    // QRCode throws is a problem with the data or options
+    return error.code ? EXIT_ERROR : EXIT_BAD_INPUT;
+}
+
+// One line per ECC level: the smallest version and its bit budget
+function formatCapacity(report) {
+    const lines = ['Level  Version  Needed  Available  Spare'];
+    for (const level of ['L', 'M', 'Q', 'H']) {
+        const version = report.smallest[level];
+        const entry = report.versions.find(row => row.version === (version || report.versions[report.versions.length - 1].version));
+        const spare = entry.availableBits[level] - entry.requiredBits;
+        lines.push([
+            level.padEnd(5),
+            (version === null ? '-' : String(version)).padStart(7),
+            String(entry.requiredBits).padStart(6),
+            String(entry.availableBits[level]).padStart(9),
+            String(spare).padStart(5)
+        ].join('  '));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+// ============================================================
+// BATCH INPUT
+// ============================================================
+
+// RFC 4180: quoted fields may hold commas, newlines and doubled quotes
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new UsageError('Unterminated quoted field in CSV');
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...records] = rows.filter(fields => fields.length > 1 || fields[0] !== '');
+    if (!header) return [];
+    return records.map(fields => Object.fromEntries(header.map((name, i) => [name, fields[i] || ''])));
+}
+
+function parseJSONL(text, field) {
+    return text.split(/\r?\n/).filter(line => line.trim()).map((line, i) => {
+        let value;
+        try {
+            value = JSON.parse(line);
+        } catch (e) {
+            throw new UsageError(`Line ${i + 1} is not valid JSON: ${e.message}`);
+        }
+        return typeof value === 'string' ? { [field]: value } : value;
+    });
+}
+
+// Column values become path segments, so separators, characters that are
+// invalid on common file systems and dot-only values such as .. that would
+// climb out of the output directory are replaced
+function fillTemplate(template, row, n) {
+    return template.replace(/\{([^{}]+)\}/g, (_, name) => {
+        if (name === 'n') return String(n);
+        if (!Object.prototype.hasOwnProperty.call(row, name)) {
+            throw new UsageError(`Unknown field in output template: {${name}}`);
+        }
+        const value = String(row[name]).replace(/[\/\\:*?"<>|\x00-\x1F]/g, '_');
+        return /^\.+$/.test(value) ? value.replace(/\./g, '_') : value;
+    });
+}
+
+function runBatch(values) {
+    if (!values.output) {
+        throw new UsageError('Batch mode needs an output template, e.g. -o "codes/{n}.png"');
+    }
+
+    const field = values.field || 'data';
+    const text = fs.readFileSync(values.batch, 'utf8');
+    const rows = /\.jsonl?$/i.test(values.batch) ? parseJSONL(text, field) : parseCSV(text);
+    const generateOptions = getGenerateOptions(values);
+    const renderOptions = getRenderOptions(values);
+    const written = new Set();
+    let exitCode = 0;
+
+    rows.forEach((row, i) => {
+        const n = i + 1;
+        try {
+            if (row === null || typeof row !== 'object' || typeof row[field] !== 'string') {
+                throw new UsageError(`No "${field}" field`);
+            }
+            const file = fillTemplate(values.output, row, n);
+            if (written.has(file)) {
+                throw new UsageError(`Output ${file} was already written by an earlier row`);
+            }
+
+            const qr = QRCode.generate(row[field], generateOptions);
+            writeOutput(file, renderOutput(qr, getFormat(file, values), renderOptions));
+            written.add(file);
+        } catch (error) {
+            process.stderr.write(`Row ${n}: ${error.message}\n`);
+            if (!exitCode) exitCode = exitCodeFor(error);
+        }
+    });
+
+    process.stderr.write(`Wrote ${written.size} of ${rows.length} files\n`);
+    return exitCode;
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+function readInput(positionals) {
+    if (positionals.length > 1) {
+        throw new UsageError('Give the text as one argument; quote it if it has spaces');
+    }
+    if (positionals.length === 1 && positionals[0] !== '-') {
+        return positionals[0];
+    }
+    if (process.stdin.isTTY) {
+        throw new UsageError(`No text given\n\n${USAGE}`);
+    }
+    // One trailing newline, as echo adds, is not part of the data
+    return fs.readFileSync(0, 'utf8').replace(/\r?\n$/, '');
+}
+
+function main(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+
+    if (values.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    if (values.batch) {
+        return runBatch(values);
+    }
+
+    const text = readInput(positionals);
+    if (values.capacity) {
+        const report = QRCode.capacity(text, getGenerateOptions(values));
+        process.stdout.write(formatCapacity(report));
+        return report.version === null ? EXIT_TOO_LONG : 0;
+    }
+
+    const renderOptions = getRenderOptions(values);
+    const format = values.output || values.format ? getFormat(values.output || '', values) : 'txt';
+    const qr = QRCode.generate(text, getGenerateOptions(values));
+    const content = renderOutput(qr, format, renderOptions);
+
+    if (values.output) {
+        writeOutput(values.output, content);
+    } else {
+        process.stdout.write(content);
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (error) {
+        // parseArgs reports unknown and malformed options with ERR_PARSE_ARGS_* codes
+        const usage = error.code && error.code.startsWith('ERR_PARSE_ARGS');
+        process.stderr.write(`qrcode: ${error.message}\n`);
+        process.exitCode = usage ? EXIT_BAD_INPUT : exitCodeFor(error);
+    }
+}
+
+// For qrcode-cli.test.js
+module.exports = { UsageError, parseCSV, parseJSONL, fillTemplate, getFormat, exitCodeFor, formatCapacity };
@@ -0,0 +1,138 @@
+/**
+ * Tests for the command-line tool. Run with: node --test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const QRCode = require('./qrcode.js');
+const {
+    UsageError, parseCSV, parseJSONL, fillTemplate, getFormat, exitCodeFor, formatCapacity
+} = require('./qrcode-cli.js');
+
+const CLI = path.join(__dirname, 'qrcode-cli.js');
+
+function run(args, input = '') {
+    return spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8' });
+}
+
+// ============================================================
+// BATCH INPUT
+// ============================================================
+
+test('parseCSV reads quoted commas, newlines and doubled quotes', () => {
+    const rows = parseCSV('sku,data\nA1,"one, two"\nA2,"line 1\nline 2"\nA3,"say ""hi"""\n');
+    assert.deepStrictEqual(rows, [
+        { sku: 'A1', data: 'one, two' },
+        { sku: 'A2', data: 'line 1\nline 2' },
+        { sku: 'A3', data: 'say "hi"' }
+    ]);
+});
+
+test('parseCSV accepts CRLF, blank lines and a missing final newline', () => {
+    const rows = parseCSV('sku,data\r\nA1,x\r\n\r\nA2,"a\r\nb"\r\nA3');
+    assert.deepStrictEqual(rows, [
+        { sku: 'A1', data: 'x' },
+        { sku: 'A2', data: 'a\r\nb' },
+        { sku: 'A3', data: '' }
+    ]);
+    assert.deepStrictEqual(parseCSV(''), []);
+});
+
+test('parseCSV rejects an unterminated quoted field', () => {
+    assert.throws(() => parseCSV('sku,data\nA1,"open'), UsageError);
+});
+
+test('parseJSONL reads objects and plain strings', () => {
+    const rows = parseJSONL('{"data":"a","sku":"1"}\n\n"b"\r\n', 'data');
+    assert.deepStrictEqual(rows, [{ data: 'a', sku: '1' }, { data: 'b' }]);
+    assert.deepStrictEqual(parseJSONL('"c"', 'url'), [{ url: 'c' }]);
+});
+
+test('parseJSONL names the line with invalid JSON', () => {
+    assert.throws(() => parseJSONL('"ok"\n{bad', 'data'), error =>
+        error instanceof UsageError && error.message.startsWith('Line 2 '));
+});
+
+// ============================================================
+// OUTPUT PATHS AND FORMATS
+// ============================================================
+
+test('fillTemplate substitutes the row number and columns', () => {
+    assert.strictEqual(fillTemplate('codes/{n}-{sku}.png', { sku: 'A1' }, 7), 'codes/7-A1.png');
+    assert.throws(() => fillTemplate('{missing}.png', { sku: 'A1' }, 1), UsageError);
+});
+
+test('fillTemplate keeps column values inside their path segment', () => {
+    assert.strictEqual(fillTemplate('out/{sku}.png', { sku: 'a/b\\c:d' }, 1), 'out/a_b_c_d.png');
+    assert.strictEqual(fillTemplate('out/{sku}/x.png', { sku: '..' }, 1), 'out/__/x.png');
+    assert.strictEqual(fillTemplate('out/{sku}/x.png', { sku: '.' }, 1), 'out/_/x.png');
+    assert.strictEqual(fillTemplate('out/{sku}/x.png', { sku: '../..' }, 1), 'out/.._../x.png');
+    assert.strictEqual(fillTemplate('out/{sku}.png', { sku: 'v1.2' }, 1), 'out/v1.2.png');
+});
+
+test('getFormat follows the extension unless --format is given', () => {
+    assert.strictEqual(getFormat('a/b.SVG', {}), 'svg');
+    assert.strictEqual(getFormat('b.png', {}), 'png');
+    assert.strictEqual(getFormat('b.txt', {}), 'txt');
+    assert.strictEqual(getFormat('b.json', {}), 'json');
+    assert.strictEqual(getFormat('b.out', { format: 'png' }), 'png');
+    assert.throws(() => getFormat('b.gif', {}), UsageError);
+    assert.throws(() => getFormat('b.png', { format: 'gif' }), UsageError);
+});
+
+test('formatCapacity lists each ECC level', () => {
+    const lines = formatCapacity(QRCode.capacity('HELLO WORLD', 'Q')).trim().split('\n');
+    assert.strictEqual(lines.length, 5);
+    assert.match(lines[4], /^H +2 +74 +128 +54$/);
+});
+
+// ============================================================
+// EXIT CODES
+// ============================================================
+
+test('exitCodeFor maps errors to exit codes', () => {
+    assert.strictEqual(exitCodeFor(new UsageError('bad')), 2);
+    assert.strictEqual(exitCodeFor(Object.assign(new Error('missing'), { code: 'ENOENT' })), 1);
+    assert.strictEqual(exitCodeFor(new Error('Invalid mask pattern: 9 (expected 0-7)')), 2);
+    let tooLong = null;
+    try {
+        QRCode.generate('x'.repeat(3000), 'M');
+    } catch (e) {
+        tooLong = e;
+    }
+    assert.strictEqual(exitCodeFor(tooLong), 3);
+});
+
+test('The CLI exits with 0, 1, 2 or 3', () => {
+    const success = run(['HELLO']);
+    assert.strictEqual(success.status, 0);
+    assert.ok(success.stdout.length > 0);
+
+    assert.strictEqual(run(['--batch', path.join(os.tmpdir(), 'no-such-qrcode-batch.csv'), '-o', '{n}.png']).status, 1);
+    assert.strictEqual(run(['--no-such-option', 'x']).status, 2);
+    assert.strictEqual(run(['-e', 'X', 'x']).status, 2);
+    assert.strictEqual(run(['-s', '0', '-f', 'png', 'x']).status, 2);
+    assert.strictEqual(run([], 'x'.repeat(3000)).status, 3);
+    assert.strictEqual(run(['--capacity', '-e', 'H'], 'x'.repeat(3000)).status, 3);
+});
+
+test('Batch rows cannot write outside the output directory', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qrcode-cli-'));
+    try {
+        const input = path.join(dir, 'rows.csv');
+        fs.writeFileSync(input, 'sku,data\n..,first\nA1,second\n');
+        const result = run(['--batch', input, '-o', path.join(dir, 'out', '{sku}', 'code.txt')]);
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.ok(fs.existsSync(path.join(dir, 'out', '__', 'code.txt')));
+        assert.ok(fs.existsSync(path.join(dir, 'out', 'A1', 'code.txt')));
+        assert.ok(!fs.existsSync(path.join(dir, 'code.txt')));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -21,9 +21,36 @@ const QRCode = (function() {
         ALPHANUMERIC: 0b0010,
         BYTE: 0b0100,
         KANJI: 0b1000,
+        ECI: 0b0111,
+        STRUCTURED_APPEND: 0b0011,
+        FNC1_FIRST: 0b0101,
+        FNC1_SECOND: 0b1001,
         TERMINATOR: 0b0000
     };
 
+    // Micro QR mode indicators are version - 1 bits long, so M1 has none
+    const MICRO_MODE = {
+        NUMERIC: 0,
+        ALPHANUMERIC: 1,
+        BYTE: 2,
+        KANJI: 3
+    };
+
+    // rMQR mode indicators are 3 bits
+    const RMQR_MODE = {
+        NUMERIC: 0b001,
+        ALPHANUMERIC: 0b010,
+        BYTE: 0b011,
+        KANJI: 0b100
+    };
+
+    // Character sets selectable through Extended Channel Interpretation
+    const ECI_CHARSETS = {
+        3: 'ISO-8859-1',
+        20: 'Shift_JIS',
+        26: 'UTF-8'
+    };
+
     const ALPHANUMERIC_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
 
     const CHAR_COUNT_BITS = {
@@ -33,6 +60,14 @@ const QRCode = (function() {
         KANJI: [8, 10, 12]
     };
 
+    // Character count indicator lengths for M1-M4; null where the mode is unavailable
+    const MICRO_CHAR_COUNT_BITS = {
+        NUMERIC: [3, 4, 5, 6],
+        ALPHANUMERIC: [null, 3, 4, 5],
+        BYTE: [null, null, 4, 5],
+        KANJI: [null, null, 3, 4]
+    };
+
     // Data capacity for each version and ECC level (Table 7)
     const BYTE_CAPACITY = [
         null,
@@ -92,6 +127,63 @@ const QRCode = (function() {
         40: { L: { total: 3706, eccPerBlock: 30, blocks: [[19, 118], [6, 119]] }, M: { total: 3706, eccPerBlock: 28, blocks: [[18, 47], [31, 48]] }, Q: { total: 3706, eccPerBlock: 30, blocks: [[34, 24], [34, 25]] }, H: { total: 3706, eccPerBlock: 30, blocks: [[20, 15], [61, 16]] } }
     };
 
+    // Micro QR codewords, data bits and format information symbol number
+    // (Tables 7 and 9). M1 and M3 end in a 4-bit data codeword, and M1
+    // offers error detection only.
+    const MICRO_ECC_TABLE = {
+        M1: { L: { total: 5, eccPerBlock: 2, blocks: [[1, 3]], dataBits: 20, symbolNumber: 0 } },
+        M2: { L: { total: 10, eccPerBlock: 5, blocks: [[1, 5]], dataBits: 40, symbolNumber: 1 }, M: { total: 10, eccPerBlock: 6, blocks: [[1, 4]], dataBits: 32, symbolNumber: 2 } },
+        M3: { L: { total: 17, eccPerBlock: 6, blocks: [[1, 11]], dataBits: 84, symbolNumber: 3 }, M: { total: 17, eccPerBlock: 8, blocks: [[1, 9]], dataBits: 68, symbolNumber: 4 } },
+        M4: { L: { total: 24, eccPerBlock: 8, blocks: [[1, 16]], dataBits: 128, symbolNumber: 5 }, M: { total: 24, eccPerBlock: 10, blocks: [[1, 14]], dataBits: 112, symbolNumber: 6 }, Q: { total: 24, eccPerBlock: 14, blocks: [[1, 10]], dataBits: 80, symbolNumber: 7 } }
+    };
+
+    // rMQR sizes in version indicator order (ISO/IEC 23941 Tables 3, 6 and 8),
+    // with character count lengths for numeric, alphanumeric, byte and Kanji
+    const RMQR_VERSIONS = [
+        { name: 'R7x43', height: 7, width: 43, countBits: [4, 3, 3, 2], M: { total: 13, eccPerBlock: 7, blocks: [[1, 6]] }, H: { total: 13, eccPerBlock: 10, blocks: [[1, 3]] } },
+        { name: 'R7x59', height: 7, width: 59, countBits: [5, 5, 4, 3], M: { total: 21, eccPerBlock: 9, blocks: [[1, 12]] }, H: { total: 21, eccPerBlock: 14, blocks: [[1, 7]] } },
+        { name: 'R7x77', height: 7, width: 77, countBits: [6, 5, 5, 4], M: { total: 32, eccPerBlock: 12, blocks: [[1, 20]] }, H: { total: 32, eccPerBlock: 22, blocks: [[1, 10]] } },
+        { name: 'R7x99', height: 7, width: 99, countBits: [7, 6, 5, 5], M: { total: 44, eccPerBlock: 16, blocks: [[1, 28]] }, H: { total: 44, eccPerBlock: 30, blocks: [[1, 14]] } },
+        { name: 'R7x139', height: 7, width: 139, countBits: [7, 6, 6, 5], M: { total: 68, eccPerBlock: 24, blocks: [[1, 44]] }, H: { total: 68, eccPerBlock: 22, blocks: [[2, 12]] } },
+        { name: 'R9x43', height: 9, width: 43, countBits: [5, 5, 4, 3], M: { total: 21, eccPerBlock: 9, blocks: [[1, 12]] }, H: { total: 21, eccPerBlock: 14, blocks: [[1, 7]] } },
+        { name: 'R9x59', height: 9, width: 59, countBits: [6, 5, 5, 4], M: { total: 33, eccPerBlock: 12, blocks: [[1, 21]] }, H: { total: 33, eccPerBlock: 22, blocks: [[1, 11]] } },
+        { name: 'R9x77', height: 9, width: 77, countBits: [7, 6, 5, 5], M: { total: 49, eccPerBlock: 18, blocks: [[1, 31]] }, H: { total: 49, eccPerBlock: 16, blocks: [[1, 8], [1, 9]] } },
+        { name: 'R9x99', height: 9, width: 99, countBits: [7, 6, 6, 5], M: { total: 66, eccPerBlock: 24, blocks: [[1, 42]] }, H: { total: 66, eccPerBlock: 22, blocks: [[2, 11]] } },
+        { name: 'R9x139', height: 9, width: 139, countBits: [8, 7, 6, 6], M: { total: 99, eccPerBlock: 18, blocks: [[1, 31], [1, 32]] }, H: { total: 99, eccPerBlock: 22, blocks: [[3, 11]] } },
+        { name: 'R11x27', height: 11, width: 27, countBits: [4, 4, 3, 2], M: { total: 15, eccPerBlock: 8, blocks: [[1, 7]] }, H: { total: 15, eccPerBlock: 10, blocks: [[1, 5]] } },
+        { name: 'R11x43', height: 11, width: 43, countBits: [6, 5, 5, 4], M: { total: 31, eccPerBlock: 12, blocks: [[1, 19]] }, H: { total: 31, eccPerBlock: 20, blocks: [[1, 11]] } },
+        { name: 'R11x59', height: 11, width: 59, countBits: [7, 6, 5, 5], M: { total: 47, eccPerBlock: 16, blocks: [[1, 31]] }, H: { total: 47, eccPerBlock: 16, blocks: [[1, 7], [1, 8]] } },
+        { name: 'R11x77', height: 11, width: 77, countBits: [7, 6, 6, 5], M: { total: 67, eccPerBlock: 24, blocks: [[1, 43]] }, H: { total: 67, eccPerBlock: 22, blocks: [[1, 11], [1, 12]] } },
+        { name: 'R11x99', height: 11, width: 99, countBits: [8, 7, 6, 6], M: { total: 89, eccPerBlock: 16, blocks: [[1, 28], [1, 29]] }, H: { total: 89, eccPerBlock: 30, blocks: [[1, 14], [1, 15]] } },
+        { name: 'R11x139', height: 11, width: 139, countBits: [8, 7, 7, 6], M: { total: 132, eccPerBlock: 24, blocks: [[2, 42]] }, H: { total: 132, eccPerBlock: 30, blocks: [[3, 14]] } },
+        { name: 'R13x27', height: 13, width: 27, countBits: [5, 5, 4, 3], M: { total: 21, eccPerBlock: 9, blocks: [[1, 12]] }, H: { total: 21, eccPerBlock: 14, blocks: [[1, 7]] } },
+        { name: 'R13x43', height: 13, width: 43, countBits: [6, 6, 5, 5], M: { total: 41, eccPerBlock: 14, blocks: [[1, 27]] }, H: { total: 41, eccPerBlock: 28, blocks: [[1, 13]] } },
+        { name: 'R13x59', height: 13, width: 59, countBits: [7, 6, 6, 5], M: { total: 60, eccPerBlock: 22, blocks: [[1, 38]] }, H: { total: 60, eccPerBlock: 20, blocks: [[2, 10]] } },
+        { name: 'R13x77', height: 13, width: 77, countBits: [7, 7, 6, 6], M: { total: 85, eccPerBlock: 16, blocks: [[1, 26], [1, 27]] }, H: { total: 85, eccPerBlock: 28, blocks: [[1, 14], [1, 15]] } },
+        { name: 'R13x99', height: 13, width: 99, countBits: [8, 7, 7, 6], M: { total: 113, eccPerBlock: 20, blocks: [[1, 36], [1, 37]] }, H: { total: 113, eccPerBlock: 26, blocks: [[1, 11], [2, 12]] } },
+        { name: 'R13x139', height: 13, width: 139, countBits: [8, 8, 7, 7], M: { total: 166, eccPerBlock: 20, blocks: [[2, 35], [1, 36]] }, H: { total: 166, eccPerBlock: 28, blocks: [[2, 13], [2, 14]] } },
+        { name: 'R15x43', height: 15, width: 43, countBits: [7, 6, 6, 5], M: { total: 51, eccPerBlock: 18, blocks: [[1, 33]] }, H: { total: 51, eccPerBlock: 18, blocks: [[1, 7], [1, 8]] } },
+        { name: 'R15x59', height: 15, width: 59, countBits: [7, 7, 6, 5], M: { total: 74, eccPerBlock: 26, blocks: [[1, 48]] }, H: { total: 74, eccPerBlock: 24, blocks: [[2, 13]] } },
+        { name: 'R15x77', height: 15, width: 77, countBits: [8, 7, 7, 6], M: { total: 103, eccPerBlock: 18, blocks: [[1, 33], [1, 34]] }, H: { total: 103, eccPerBlock: 24, blocks: [[2, 10], [1, 11]] } },
+        { name: 'R15x99', height: 15, width: 99, countBits: [8, 7, 7, 6], M: { total: 136, eccPerBlock: 26, blocks: [[2, 42]] }, H: { total: 136, eccPerBlock: 24, blocks: [[4, 10]] } },
+        { name: 'R15x139', height: 15, width: 139, countBits: [9, 8, 7, 7], M: { total: 199, eccPerBlock: 24, blocks: [[2, 42], [1, 43]] }, H: { total: 199, eccPerBlock: 26, blocks: [[1, 13], [4, 14]] } },
+        { name: 'R17x43', height: 17, width: 43, countBits: [7, 6, 6, 5], M: { total: 61, eccPerBlock: 22, blocks: [[1, 39]] }, H: { total: 61, eccPerBlock: 20, blocks: [[1, 10], [1, 11]] } },
+        { name: 'R17x59', height: 17, width: 59, countBits: [8, 7, 6, 6], M: { total: 88, eccPerBlock: 16, blocks: [[2, 28]] }, H: { total: 88, eccPerBlock: 30, blocks: [[2, 14]] } },
+        { name: 'R17x77', height: 17, width: 77, countBits: [8, 7, 7, 6], M: { total: 122, eccPerBlock: 22, blocks: [[2, 39]] }, H: { total: 122, eccPerBlock: 28, blocks: [[1, 12], [2, 13]] } },
+        { name: 'R17x99', height: 17, width: 99, countBits: [8, 8, 7, 6], M: { total: 160, eccPerBlock: 20, blocks: [[2, 33], [1, 34]] }, H: { total: 160, eccPerBlock: 26, blocks: [[4, 14]] } },
+        { name: 'R17x139', height: 17, width: 139, countBits: [9, 8, 8, 7], M: { total: 232, eccPerBlock: 20, blocks: [[4, 38]] }, H: { total: 232, eccPerBlock: 26, blocks: [[2, 12], [4, 13]] } }
+    ];
+
+    // Columns of the rMQR alignment patterns and their vertical timing lines
+    const RMQR_ALIGNMENT_COLUMNS = {
+        27: [],
+        43: [21],
+        59: [19, 39],
+        77: [25, 51],
+        99: [23, 49, 75],
+        139: [27, 55, 83, 111]
+    };
+
     // Alignment pattern positions (Table E.1)
     const ALIGNMENT_PATTERNS = [
         null, [],
@@ -120,12 +212,66 @@ const QRCode = (function() {
         0x355F, 0x3068, 0x3F31, 0x3A06, 0x24B4, 0x2183, 0x2EDA, 0x2BED
     ];
 
+    // Micro QR format information, indexed by symbol number << 2 | mask
+    const MICRO_FORMAT_INFO = [
+        0x4445, 0x4172, 0x4E2B, 0x4B1C, 0x55AE, 0x5099, 0x5FC0, 0x5AF7,
+        0x6793, 0x62A4, 0x6DFD, 0x68CA, 0x7678, 0x734F, 0x7C16, 0x7921,
+        0x06DE, 0x03E9, 0x0CB0, 0x0987, 0x1735, 0x1202, 0x1D5B, 0x186C,
+        0x2508, 0x203F, 0x2F66, 0x2A51, 0x34E3, 0x31D4, 0x3E8D, 0x3BBA
+    ];
+
+    // rMQR format information before masking, indexed by ECC level bit << 5 |
+    // version indicator. Same (18,6) BCH code as VERSION_INFO.
+    const RMQR_FORMAT_INFO = [
+        0x00000, 0x01F25, 0x0216F, 0x03E4A, 0x042DE, 0x05DFB, 0x063B1, 0x07C94,
+        0x085BC, 0x09A99, 0x0A4D3, 0x0BBF6, 0x0C762, 0x0D847, 0x0E60D, 0x0F928,
+        0x10B78, 0x1145D, 0x12A17, 0x13532, 0x149A6, 0x15683, 0x168C9, 0x177EC,
+        0x18EC4, 0x191E1, 0x1AFAB, 0x1B08E, 0x1CC1A, 0x1D33F, 0x1ED75, 0x1F250,
+        0x209D5, 0x216F0, 0x228BA, 0x2379F, 0x24B0B, 0x2542E, 0x26A64, 0x27541,
+        0x28C69, 0x2934C, 0x2AD06, 0x2B223, 0x2CEB7, 0x2D192, 0x2EFD8, 0x2F0FD,
+        0x302AD, 0x31D88, 0x323C2, 0x33CE7, 0x34073, 0x35F56, 0x3611C, 0x37E39,
+        0x38711, 0x39834, 0x3A67E, 0x3B95B, 0x3C5CF, 0x3DAEA, 0x3E4A0, 0x3FB85
+    ];
+
+    // Masks for the copies beside the finder and the sub-finder patterns
+    const RMQR_FORMAT_MASKS = [0x1FAB2, 0x20A7B];
+
     // Remainder bits per version (Table 1)
     const REMAINDER_BITS = [
         0, 0, 7, 7, 7, 7, 7, 0, 0, 0, 0, 0, 0, 0, 3, 3, 3, 3, 3, 3, 3,
         4, 4, 4, 4, 4, 4, 4, 3, 3, 3, 3, 3, 3, 3, 0, 0, 0, 0, 0, 0
     ];
 
+    // ============================================================
+    // ERRORS
+    // ============================================================
+
+    // Failures a caller can act on, with their details as properties.
+    // Other bad input throws a plain Error.
+    class QRCodeError extends Error {
+        constructor(message, details = {}) {
+            super(message);
+            Object.assign(this, details);
+        }
+    }
+    QRCodeError.prototype.name = 'QRCodeError';
+
+    // { symbol, version, eccLevel, requiredBits, availableBits, overflowBits,
+    // bestEccLevel } for the largest version allowed, where bestEccLevel is
+    // the highest level that would fit, or null
+    class DataTooLongError extends QRCodeError {}
+    DataTooLongError.prototype.name = 'DataTooLongError';
+
+    // { eccLevel, supportedLevels }
+    class InvalidEccLevelError extends QRCodeError {}
+    InvalidEccLevelError.prototype.name = 'InvalidEccLevelError';
+
+    class EmptyDataError extends QRCodeError {}
+    EmptyDataError.prototype.name = 'EmptyDataError';
+
+    // By name, to rebuild errors sent back from workers
+    const ERROR_TYPES = { QRCodeError, DataTooLongError, InvalidEccLevelError, EmptyDataError };
+
     // ============================================================
     // GALOIS FIELD ARITHMETIC FOR REED-SOLOMON
     // ============================================================
@@ -160,9 +306,17 @@ const QRCode = (function() {
         return GF_EXP[(GF_LOG[a] + 255 - GF_LOG[b]) % 255];
     }
 
+    // Generator polynomials by ECC codeword count. All blocks of a symbol,
+    // and most symbols in a batch, share one; callers must not modify it.
+    const generatorCache = new Map();
+
     // Generate Reed-Solomon generator polynomial
     function generateRSPolynomial(numEcc) {
-        let poly = new Uint8Array(numEcc + 1);
+        if (generatorCache.has(numEcc)) {
+            return generatorCache.get(numEcc);
+        }
+
+        const poly = new Uint8Array(numEcc + 1);
         poly[0] = 1;
 
         for (let i = 0; i < numEcc; i++) {
@@ -172,6 +326,7 @@ const QRCode = (function() {
             poly[0] = gfMultiply(poly[0], GF_EXP[i]);
         }
 
+        generatorCache.set(numEcc, poly);
         return poly;
     }
 
@@ -182,10 +337,9 @@ const QRCode = (function() {
 
         for (let i = 0; i < data.length; i++) {
             const coef = data[i] ^ ecc[0];
-            for (let j = 0; j < numEcc - 1; j++) {
-                ecc[j] = ecc[j + 1];
-            }
+            ecc.copyWithin(0, 1);
             ecc[numEcc - 1] = 0;
+            if (coef === 0) continue;
 
             // ecc[j] represents coefficient of x^(numEcc-1-j)
             // generator[k] represents coefficient of x^k
@@ -198,6 +352,113 @@ const QRCode = (function() {
         return ecc;
     }
 
+    // Evaluate a codeword polynomial (highest degree first) at x
+    function evaluateCodewords(codewords, x) {
+        let result = 0;
+        for (let i = 0; i < codewords.length; i++) {
+            result = gfMultiply(result, x) ^ codewords[i];
+        }
+        return result;
+    }
+
+    // Correct a block (data + ECC codewords) in place using Berlekamp-Massey,
+    // Chien search and Forney's formula. Returns the number of corrected
+    // codewords, or -1 if the block has more errors than numEcc can repair.
+    function correctErrors(codewords, numEcc) {
+        const n = codewords.length;
+        const syndromes = new Uint8Array(numEcc);
+        let hasErrors = false;
+
+        for (let i = 0; i < numEcc; i++) {
+            syndromes[i] = evaluateCodewords(codewords, GF_EXP[i]);
+            if (syndromes[i] !== 0) hasErrors = true;
+        }
+        if (!hasErrors) return 0;
+
+        // Berlekamp-Massey: find the error locator polynomial (lowest degree first)
+        let locator = [1];
+        let previous = [1];
+        let errorCount = 0;
+        let shift = 1;
+        let lastDiscrepancy = 1;
+
+        for (let i = 0; i < numEcc; i++) {
+            let discrepancy = syndromes[i];
+            for (let j = 1; j <= errorCount; j++) {
+                discrepancy ^= gfMultiply(locator[j], syndromes[i - j]);
+            }
+
+            if (discrepancy === 0) {
+                shift++;
+                continue;
+            }
+
+            const scale = gfDivide(discrepancy, lastDiscrepancy);
+            const updated = locator.slice();
+            while (updated.length < previous.length + shift) updated.push(0);
+            for (let j = 0; j < previous.length; j++) {
+                updated[j + shift] ^= gfMultiply(scale, previous[j]);
+            }
+
+            if (2 * errorCount <= i) {
+                previous = locator;
+                errorCount = i + 1 - errorCount;
+                lastDiscrepancy = discrepancy;
+                shift = 1;
+            } else {
+                shift++;
+            }
+            locator = updated;
+        }
+
+        if (2 * errorCount > numEcc) return -1;
+
+        // Chien search: position p (power of x) is in error when locator(a^-p) = 0
+        const positions = [];
+        for (let p = 0; p < n; p++) {
+            const inverse = GF_EXP[(255 - p) % 255];
+            let value = 0;
+            for (let j = locator.length - 1; j >= 0; j--) {
+                value = gfMultiply(value, inverse) ^ locator[j];
+            }
+            if (value === 0) positions.push(p);
+        }
+        if (positions.length !== errorCount) return -1;
+
+        // Forney: error evaluator = syndromes * locator mod x^numEcc
+        const evaluator = new Uint8Array(numEcc);
+        for (let i = 0; i < numEcc; i++) {
+            for (let j = 0; j <= i && j < locator.length; j++) {
+                evaluator[i] ^= gfMultiply(syndromes[i - j], locator[j]);
+            }
+        }
+
+        for (const p of positions) {
+            const x = GF_EXP[p];
+            const inverse = GF_EXP[(255 - p) % 255];
+
+            let numerator = 0;
+            for (let j = numEcc - 1; j >= 0; j--) {
+                numerator = gfMultiply(numerator, inverse) ^ evaluator[j];
+            }
+
+            // Formal derivative keeps only the odd-degree terms
+            let denominator = 0;
+            for (let j = 1; j < locator.length; j += 2) {
+                denominator ^= gfMultiply(locator[j], GF_EXP[(GF_LOG[inverse] * (j - 1)) % 255]);
+            }
+            if (denominator === 0) return -1;
+
+            codewords[n - 1 - p] ^= gfMultiply(x, gfDivide(numerator, denominator));
+        }
+
+        for (let i = 0; i < numEcc; i++) {
+            if (evaluateCodewords(codewords, GF_EXP[i]) !== 0) return -1;
+        }
+
+        return errorCount;
+    }
+
     // ============================================================
     // MODE DETECTION AND DATA ENCODING
     // ============================================================
@@ -211,28 +472,334 @@ const QRCode = (function() {
         return ALPHANUMERIC_CHARS.indexOf(char) !== -1;
     }
 
+    // Unicode to Shift JIS lookup for the JIS X 0208 double-byte ranges that
+    // Kanji mode can encode (0x8140-0x9FFC and 0xE040-0xEBBF). Built lazily
+    // from the platform's Shift_JIS decoder instead of shipping a table; if
+    // the decoder is unavailable the table stays empty and Kanji mode is unused.
+    let kanjiTable = null;
+
+    function getKanjiTable() {
+        if (kanjiTable) return kanjiTable;
+        kanjiTable = new Map();
+
+        let decoder;
+        try {
+            decoder = new TextDecoder('shift_jis');
+        } catch (e) {
+            return kanjiTable;
+        }
+
+        const bytes = new Uint8Array(2);
+        for (let lead = 0x81; lead <= 0xEB; lead++) {
+            if (lead > 0x9F && lead < 0xE0) continue;
+            for (let trail = 0x40; trail <= 0xFC; trail++) {
+                const code = (lead << 8) | trail;
+                if (trail === 0x7F || code > 0xEBBF) continue;
+
+                bytes[0] = lead;
+                bytes[1] = trail;
+                const char = decoder.decode(bytes);
+                if (char.length === 1 && char !== '\uFFFD' && !kanjiTable.has(char)) {
+                    kanjiTable.set(char, code);
+                }
+            }
+        }
+
+        return kanjiTable;
+    }
+
+    function isKanji(char) {
+        return getKanjiTable().has(char);
+    }
+
     function detectMode(data) {
         let allNumeric = true;
         let allAlphanumeric = true;
+        let allKanji = true;
 
-        for (let i = 0; i < data.length; i++) {
-            const char = data[i];
+        for (const char of data) {
             if (!isNumeric(char)) allNumeric = false;
             if (!isAlphanumeric(char)) allAlphanumeric = false;
+            if (allKanji && !isKanji(char)) allKanji = false;
         }
 
         if (allNumeric) return 'NUMERIC';
         if (allAlphanumeric) return 'ALPHANUMERIC';
+        if (allKanji) return 'KANJI';
         return 'BYTE';
     }
 
+    // Micro QR versions are the strings 'M1' to 'M4'
+    function isMicro(version) {
+        return typeof version === 'string' && version[0] === 'M';
+    }
+
+    // rMQR versions are named by height and width, such as 'R13x59'
+    function isRMQR(version) {
+        return typeof version === 'string' && version[0] === 'R';
+    }
+
+    function getRMQRVersion(version) {
+        return RMQR_VERSIONS.find(entry => entry.name === version);
+    }
+
+    // Versions 1-9, 10-26 and 27-40 share character count indicator lengths;
+    // each Micro QR and rMQR version has its own
+    function getVersionGroup(version) {
+        if (isMicro(version) || isRMQR(version)) return version;
+        if (version <= 9) return 0;
+        if (version <= 26) return 1;
+        return 2;
+    }
+
     function getCharCountBits(version, mode) {
-        let index;
-        if (version <= 9) index = 0;
-        else if (version <= 26) index = 1;
-        else index = 2;
+        if (isMicro(version)) {
+            return MICRO_CHAR_COUNT_BITS[mode][Number(version[1]) - 1];
+        }
+        if (isRMQR(version)) {
+            return getRMQRVersion(version).countBits[['NUMERIC', 'ALPHANUMERIC', 'BYTE', 'KANJI'].indexOf(mode)];
+        }
+        return CHAR_COUNT_BITS[mode][getVersionGroup(version)];
+    }
+
+    function getModeIndicatorBits(version) {
+        if (isMicro(version)) return Number(version[1]) - 1;
+        return isRMQR(version) ? 3 : 4;
+    }
+
+    function getModeIndicator(version, mode) {
+        if (isMicro(version)) return MICRO_MODE[mode];
+        return isRMQR(version) ? RMQR_MODE[mode] : MODE[mode];
+    }
+
+    function getTerminatorBits(version) {
+        if (isMicro(version)) return Number(version[1]) * 2 + 1;
+        return isRMQR(version) ? 3 : 4;
+    }
+
+    function getEccInfo(version, eccLevel) {
+        if (isRMQR(version)) {
+            const entry = getRMQRVersion(version);
+            return entry ? entry[eccLevel] : undefined;
+        }
+        const table = isMicro(version) ? MICRO_ECC_TABLE : ECC_TABLE;
+        return table[version] ? table[version][eccLevel] : undefined;
+    }
+
+    function getUtf8Length(codePoint) {
+        if (codePoint < 0x80) return 1;
+        if (codePoint < 0x800) return 2;
+        if (codePoint < 0x10000) return 3;
+        return 4;
+    }
+
+    // Bytes a character takes in byte mode under the given character set,
+    // or Infinity if the character set cannot represent it
+    function getCharByteLength(char, charset) {
+        const codePoint = char.codePointAt(0);
+
+        if (charset === 'ISO-8859-1') {
+            return codePoint <= 0xFF ? 1 : Infinity;
+        }
+        if (charset === 'Shift_JIS') {
+            if (codePoint < 0x80 || (codePoint >= 0xFF61 && codePoint <= 0xFF9F)) return 1;
+            return isKanji(char) ? 2 : Infinity;
+        }
+        return getUtf8Length(codePoint);
+    }
+
+    function encodeText(text, charset = 'UTF-8') {
+        if (charset === 'UTF-8') {
+            return new TextEncoder().encode(text);
+        }
+
+        const bytes = [];
+        for (const char of text) {
+            if (getCharByteLength(char, charset) === Infinity) {
+                throw new Error(`Character cannot be encoded in ${charset}: ${char}`);
+            }
+
+            const codePoint = char.codePointAt(0);
+            if (charset === 'ISO-8859-1' || codePoint < 0x80) {
+                bytes.push(codePoint);
+            } else if (codePoint >= 0xFF61 && codePoint <= 0xFF9F) {
+                bytes.push(codePoint - 0xFF61 + 0xA1);
+            } else {
+                const code = getKanjiTable().get(char);
+                bytes.push(code >> 8, code & 0xFF);
+            }
+        }
+        return new Uint8Array(bytes);
+    }
+
+    // Without a declared character set, bytes that are not valid UTF-8 are
+    // read as ISO-8859-1, the default interpretation for byte mode
+    function decodeText(bytes, charset = null) {
+        if (charset === null) {
+            try {
+                return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            } catch (e) {
+                charset = 'ISO-8859-1';
+            }
+        }
+        if (charset === 'ISO-8859-1') {
+            return Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+        }
+        return new TextDecoder(charset === 'Shift_JIS' ? 'shift_jis' : 'utf-8').decode(bytes);
+    }
 
-        return CHAR_COUNT_BITS[mode][index];
+    // Split text into the sequence of numeric, alphanumeric and byte segments
+    // with the fewest bits for the given version. Costs are tracked in sixths
+    // of a bit so numeric (10/3) and alphanumeric (11/2) rates stay integral.
+    // Returns null when a Micro QR version lacks a mode the text needs.
+    // In FNC1 mode, alphanumeric segments write GS as '%' and '%' as '%%'.
+    function makeSegments(text, version, charset = 'UTF-8', fnc1 = false) {
+        const chars = Array.from(text);
+        if (chars.length === 0) return [];
+
+        const modes = ['BYTE', 'ALPHANUMERIC', 'NUMERIC', 'KANJI'];
+        const headerCosts = modes.map(mode => {
+            const countBits = getCharCountBits(version, mode);
+            return countBits === null ? Infinity : (getModeIndicatorBits(version) + countBits) * 6;
+        });
+        const allowed = headerCosts.map(cost => cost !== Infinity);
+        const charModes = [];
+        let previousCosts = headerCosts.slice();
+
+        for (let i = 0; i < chars.length; i++) {
+            const char = chars[i];
+            const costs = [Infinity, Infinity, Infinity, Infinity];
+            const chosen = [null, null, null, null];
+
+            const byteLength = getCharByteLength(char, charset);
+            if (allowed[0] && byteLength !== Infinity) {
+                costs[0] = previousCosts[0] + byteLength * 8 * 6;
+                chosen[0] = 0;
+            }
+            if (allowed[1] && (isAlphanumeric(char) || (fnc1 && char === GS))) {
+                costs[1] = previousCosts[1] + (fnc1 && char === '%' ? 66 : 33);
+                chosen[1] = 1;
+            }
+            if (allowed[2] && isNumeric(char)) {
+                costs[2] = previousCosts[2] + 20;
+                chosen[2] = 2;
+            }
+            if (allowed[3] && isKanji(char)) {
+                costs[3] = previousCosts[3] + 78;
+                chosen[3] = 3;
+            }
+
+            // Switching modes after this character rounds up to whole bits
+            // and pays the new segment's header
+            const switched = costs.slice();
+            for (let to = 0; to < modes.length; to++) {
+                for (let from = 0; from < modes.length; from++) {
+                    if (chosen[from] === null) continue;
+                    const cost = Math.ceil(costs[from] / 6) * 6 + headerCosts[to];
+                    if (cost < switched[to]) {
+                        switched[to] = cost;
+                        chosen[to] = chosen[from];
+                    }
+                }
+            }
+
+            if (chosen.every(mode => mode === null)) {
+                if (isMicro(version)) return null;
+                throw new Error(`Character cannot be encoded in ${charset}: ${char}`);
+            }
+
+            charModes.push(chosen);
+            previousCosts = switched;
+        }
+
+        let state = previousCosts.indexOf(Math.min(...previousCosts));
+        const assigned = new Array(chars.length);
+        for (let i = chars.length - 1; i >= 0; i--) {
+            state = charModes[i][state];
+            assigned[i] = modes[state];
+        }
+
+        const segments = [];
+        for (let i = 0; i < chars.length; i++) {
+            const last = segments[segments.length - 1];
+            if (last && last.mode === assigned[i]) {
+                last.data += chars[i];
+            } else {
+                segments.push({ mode: assigned[i], data: chars[i] });
+            }
+        }
+
+        if (fnc1) {
+            for (const segment of segments) {
+                if (segment.mode === 'ALPHANUMERIC') {
+                    segment.data = segment.data.replace(/%/g, '%%').split(GS).join('%');
+                }
+            }
+        }
+
+        return segments;
+    }
+
+    function validateSegment(segment) {
+        const { mode, data } = segment || {};
+
+        if (typeof data !== 'string') {
+            throw new Error('Segment data must be a string');
+        }
+
+        if (mode === 'NUMERIC') {
+            if (!Array.from(data).every(isNumeric)) {
+                throw new Error(`Invalid numeric segment: ${data}`);
+            }
+        } else if (mode === 'ALPHANUMERIC') {
+            if (!Array.from(data).every(isAlphanumeric)) {
+                throw new Error(`Invalid alphanumeric segment: ${data}`);
+            }
+        } else if (mode === 'KANJI') {
+            if (!Array.from(data).every(isKanji)) {
+                throw new Error(`Invalid Kanji segment: ${data}`);
+            }
+        } else if (mode !== 'BYTE') {
+            throw new Error(`Unsupported segment mode: ${mode}`);
+        }
+
+        return { mode, data };
+    }
+
+    function getSegmentCharCount(segment, charset = 'UTF-8') {
+        if (segment.mode === 'BYTE') {
+            return encodeText(segment.data, charset).length;
+        }
+        if (segment.mode === 'KANJI') {
+            return Array.from(segment.data).length;
+        }
+        return segment.data.length;
+    }
+
+    // Bits for count characters of a mode, without the segment header
+    function getModeDataBits(mode, count) {
+        if (mode === 'NUMERIC') return Math.floor(count / 3) * 10 + [0, 4, 7][count % 3];
+        if (mode === 'ALPHANUMERIC') return Math.floor(count / 2) * 11 + (count % 2) * 6;
+        if (mode === 'KANJI') return count * 13;
+        return count * 8;
+    }
+
+    // Bits needed for a segment including its mode indicator and character
+    // count, or Infinity if the count does not fit the indicator. With split,
+    // an over-long segment is measured as the segments it would take instead.
+    function getSegmentBits(segment, version, charset = 'UTF-8', split = false) {
+        const count = getSegmentCharCount(segment, charset);
+        const countBits = getCharCountBits(version, segment.mode);
+        if (countBits === null) return Infinity;
+
+        const headerBits = getModeIndicatorBits(version) + countBits;
+        const maxCount = (1 << countBits) - 1;
+        if (count <= maxCount) return headerBits + getModeDataBits(segment.mode, count);
+        if (!split) return Infinity;
+
+        const rest = count % maxCount;
+        return Math.floor(count / maxCount) * (headerBits + getModeDataBits(segment.mode, maxCount)) +
+            (rest ? headerBits + getModeDataBits(segment.mode, rest) : 0);
     }
 
     function encodeNumeric(data) {
@@ -280,10 +847,28 @@ const QRCode = (function() {
         return bits;
     }
 
-    function encodeByte(data) {
+    // Each Shift JIS code is compacted to 13 bits (Section 7.4.6)
+    function encodeKanji(data) {
+        const bits = [];
+        const table = getKanjiTable();
+
+        for (const char of data) {
+            const code = table.get(char);
+            if (code === undefined) {
+                throw new Error(`Character cannot be encoded in Kanji mode: ${char}`);
+            }
+
+            const offset = code - (code <= 0x9FFC ? 0x8140 : 0xC140);
+            const value = (offset >> 8) * 0xC0 + (offset & 0xFF);
+            for (let j = 12; j >= 0; j--) bits.push((value >> j) & 1);
+        }
+
+        return bits;
+    }
+
+    function encodeByte(data, charset = 'UTF-8') {
         const bits = [];
-        const encoder = new TextEncoder();
-        const bytes = encoder.encode(data);
+        const bytes = encodeText(data, charset);
 
         for (let i = 0; i < bytes.length; i++) {
             for (let j = 7; j >= 0; j--) {
@@ -294,35 +879,88 @@ const QRCode = (function() {
         return bits;
     }
 
-    function selectVersion(dataLength, eccLevel, mode) {
-        const eccIndex = ECC_LEVELS[eccLevel];
+    function getDataCapacityBits(version, eccLevel) {
+        const eccInfo = getEccInfo(version, eccLevel);
+        if (isMicro(version)) return eccInfo.dataBits;
 
-        for (let version = 1; version <= 40; version++) {
-            const eccInfo = ECC_TABLE[version][eccLevel];
-            let totalDataCodewords = 0;
-            for (const [count, dataWords] of eccInfo.blocks) {
-                totalDataCodewords += count * dataWords;
-            }
-            const totalDataBits = totalDataCodewords * 8;
+        let totalDataCodewords = 0;
+        for (const [count, dataWords] of eccInfo.blocks) {
+            totalDataCodewords += count * dataWords;
+        }
+        return totalDataCodewords * 8;
+    }
 
-            let requiredBits = 4; // Mode indicator
-            requiredBits += getCharCountBits(version, mode);
+    // ECI header: mode indicator followed by a 1, 2 or 3 byte designator
+    function encodeECI(designator) {
+        const bits = [];
+        for (let i = 3; i >= 0; i--) bits.push((MODE.ECI >> i) & 1);
+
+        let value;
+        let length;
+        if (designator < 128) {
+            value = designator;
+            length = 8;
+        } else if (designator < 16384) {
+            value = 0x8000 | designator;
+            length = 16;
+        } else {
+            value = 0xC00000 | designator;
+            length = 24;
+        }
+        for (let i = length - 1; i >= 0; i--) bits.push((value >> i) & 1);
 
-            if (mode === 'NUMERIC') {
-                const groups = Math.floor(dataLength / 3);
-                const remainder = dataLength % 3;
-                requiredBits += groups * 10;
-                if (remainder === 2) requiredBits += 7;
-                else if (remainder === 1) requiredBits += 4;
-            } else if (mode === 'ALPHANUMERIC') {
-                const pairs = Math.floor(dataLength / 2);
-                const remainder = dataLength % 2;
-                requiredBits += pairs * 11 + remainder * 6;
-            } else {
-                requiredBits += dataLength * 8;
-            }
+        return bits;
+    }
+
+    // Structured Append header: mode indicator, symbol position, total
+    // symbols minus one and the parity byte of the whole message (20 bits)
+    function encodeStructuredAppend({ index, total, parity }) {
+        if (!(total >= 1 && total <= 16) || !(index >= 0 && index < total) || !(parity >= 0 && parity <= 0xFF)) {
+            throw new Error('Structured append needs 0 <= index < total <= 16 and a parity byte');
+        }
+
+        const bits = [];
+        for (let i = 3; i >= 0; i--) bits.push((MODE.STRUCTURED_APPEND >> i) & 1);
+        for (let i = 3; i >= 0; i--) bits.push((index >> i) & 1);
+        for (let i = 3; i >= 0; i--) bits.push(((total - 1) >> i) & 1);
+        for (let i = 7; i >= 0; i--) bits.push((parity >> i) & 1);
+        return bits;
+    }
+
+    // { requiredBits, availableBits, fits } for the data at a version, or null
+    // if the version lacks the ECC level or cannot encode the segments.
+    // segmentsForVersion(version) returns the segments to encode at that
+    // version; header holds bits emitted before them, such as an ECI.
+    // A segment too long for its character count field never fits, but is
+    // still measured, as the segments it would take, for error reports.
+    function measureVersion(segmentsForVersion, version, eccLevel, header = [], charset = 'UTF-8') {
+        if (!getEccInfo(version, eccLevel)) return null;
+
+        const segments = segmentsForVersion(version);
+        if (!segments) return null;
+
+        let requiredBits = header.length;
+        let countsFit = true;
+        for (const segment of segments) {
+            if (getCharCountBits(version, segment.mode) === null) return null;
+            const bits = getSegmentBits(segment, version, charset);
+            countsFit = countsFit && bits !== Infinity;
+            requiredBits += bits === Infinity ? getSegmentBits(segment, version, charset, true) : bits;
+        }
+        const availableBits = getDataCapacityBits(version, eccLevel);
+        return { requiredBits, availableBits, fits: countsFit && requiredBits <= availableBits };
+    }
 
-            if (requiredBits <= totalDataBits) {
+    // Return the first of versions that holds the data, or -1
+    function selectVersion(segmentsForVersion, eccLevel, header = [], charset = 'UTF-8', versions = null) {
+        if (!versions) {
+            versions = [];
+            for (let version = 1; version <= 40; version++) versions.push(version);
+        }
+
+        for (const version of versions) {
+            const measured = measureVersion(segmentsForVersion, version, eccLevel, header, charset);
+            if (measured && measured.fits) {
                 return version;
             }
         }
@@ -330,63 +968,56 @@ const QRCode = (function() {
         return -1;
     }
 
-    function createDataBitstream(data, version, eccLevel, mode) {
-        const bits = [];
+    function createDataBitstream(segments, version, eccLevel, header = [], charset = 'UTF-8') {
+        const bits = header.slice();
 
-        // Mode indicator (4 bits)
-        const modeIndicator = MODE[mode];
-        for (let i = 3; i >= 0; i--) {
-            bits.push((modeIndicator >> i) & 1);
-        }
+        for (const segment of segments) {
+            const { mode, data } = segment;
 
-        // Character count indicator
-        const countBits = getCharCountBits(version, mode);
-        let charCount;
-        if (mode === 'BYTE') {
-            const encoder = new TextEncoder();
-            charCount = encoder.encode(data).length;
-        } else {
-            charCount = data.length;
-        }
+            // Mode indicator (4 bits, 3 in rMQR, version - 1 in Micro QR)
+            const modeIndicator = getModeIndicator(version, mode);
+            for (let i = getModeIndicatorBits(version) - 1; i >= 0; i--) {
+                bits.push((modeIndicator >> i) & 1);
+            }
 
-        for (let i = countBits - 1; i >= 0; i--) {
-            bits.push((charCount >> i) & 1);
-        }
+            // Character count indicator
+            const countBits = getCharCountBits(version, mode);
+            const charCount = getSegmentCharCount(segment, charset);
+            for (let i = countBits - 1; i >= 0; i--) {
+                bits.push((charCount >> i) & 1);
+            }
 
-        // Data bits
-        let dataBits;
-        if (mode === 'NUMERIC') {
-            dataBits = encodeNumeric(data);
-        } else if (mode === 'ALPHANUMERIC') {
-            dataBits = encodeAlphanumeric(data);
-        } else {
-            dataBits = encodeByte(data);
+            // Data bits
+            let dataBits;
+            if (mode === 'NUMERIC') {
+                dataBits = encodeNumeric(data);
+            } else if (mode === 'ALPHANUMERIC') {
+                dataBits = encodeAlphanumeric(data);
+            } else if (mode === 'KANJI') {
+                dataBits = encodeKanji(data);
+            } else {
+                dataBits = encodeByte(data, charset);
+            }
+            bits.push(...dataBits);
         }
-        bits.push(...dataBits);
 
-        // Get total data codewords
-        const eccInfo = ECC_TABLE[version][eccLevel];
-        let totalDataCodewords = 0;
-        for (const [count, dataWords] of eccInfo.blocks) {
-            totalDataCodewords += count * dataWords;
-        }
-        const totalDataBits = totalDataCodewords * 8;
+        const totalDataBits = getDataCapacityBits(version, eccLevel);
 
-        // Add terminator (up to 4 zero bits)
-        const terminatorLength = Math.min(4, totalDataBits - bits.length);
+        // Add terminator (4 zero bits, 3 in rMQR, 3-9 in Micro QR), truncated if full
+        const terminatorLength = Math.min(getTerminatorBits(version), totalDataBits - bits.length);
         for (let i = 0; i < terminatorLength; i++) {
             bits.push(0);
         }
 
         // Pad to byte boundary
-        while (bits.length % 8 !== 0) {
+        while (bits.length % 8 !== 0 && bits.length < totalDataBits) {
             bits.push(0);
         }
 
         // Add pad codewords (alternating 0xEC and 0x11)
         const padCodewords = [0xEC, 0x11];
         let padIndex = 0;
-        while (bits.length < totalDataBits) {
+        while (bits.length + 8 <= totalDataBits) {
             const pad = padCodewords[padIndex % 2];
             for (let i = 7; i >= 0; i--) {
                 bits.push((pad >> i) & 1);
@@ -394,15 +1025,21 @@ const QRCode = (function() {
             padIndex++;
         }
 
+        // The 4-bit final codeword of M1 and M3 pads with zeros
+        while (bits.length < totalDataBits) {
+            bits.push(0);
+        }
+
         return bits;
     }
 
+    // A trailing partial codeword (the 4-bit one in M1 and M3) fills the high bits
     function bitsToCodewords(bits) {
         const codewords = [];
         for (let i = 0; i < bits.length; i += 8) {
             let value = 0;
             for (let j = 0; j < 8; j++) {
-                value = (value << 1) | bits[i + j];
+                value = (value << 1) | (bits[i + j] || 0);
             }
             codewords.push(value);
         }
@@ -414,7 +1051,7 @@ const QRCode = (function() {
     // ============================================================
 
     function generateErrorCorrection(dataCodewords, version, eccLevel) {
-        const eccInfo = ECC_TABLE[version][eccLevel];
+        const eccInfo = getEccInfo(version, eccLevel);
         const blocks = [];
         let dataIndex = 0;
 
@@ -455,17 +1092,32 @@ const QRCode = (function() {
     // MATRIX CONSTRUCTION
     // ============================================================
 
+    function getSymbolDimensions(version) {
+        if (isRMQR(version)) {
+            const { height, width } = getRMQRVersion(version);
+            return { height, width };
+        }
+        const size = isMicro(version) ? Number(version[1]) * 2 + 9 : version * 4 + 17;
+        return { height: size, width: size };
+    }
+
+    // Modules not placed yet, such as format information during mask
+    // selection. Mask penalties treat them as a third color.
+    const UNSET = 2;
+
+    // Rows are byte-packed Uint8Arrays; reserved holds 1 for function modules.
+    // size is the side of square symbols and null for rMQR.
     function createMatrix(version) {
-        const size = version * 4 + 17;
+        const { height, width } = getSymbolDimensions(version);
         const matrix = [];
         const reserved = [];
 
-        for (let i = 0; i < size; i++) {
-            matrix[i] = new Array(size).fill(null);
-            reserved[i] = new Array(size).fill(false);
+        for (let i = 0; i < height; i++) {
+            matrix[i] = new Uint8Array(width).fill(UNSET);
+            reserved[i] = new Uint8Array(width);
         }
 
-        return { matrix, reserved, size };
+        return { matrix, reserved, size: height === width ? width : null, height, width };
     }
 
     function placeFinderPattern(matrix, reserved, row, col) {
@@ -474,7 +1126,7 @@ const QRCode = (function() {
                 const mr = row + r;
                 const mc = col + c;
 
-                if (mr < 0 || mr >= matrix.length || mc < 0 || mc >= matrix.length) {
+                if (mr < 0 || mr >= matrix.length || mc < 0 || mc >= matrix[mr].length) {
                     continue;
                 }
 
@@ -565,27 +1217,41 @@ const QRCode = (function() {
         }
     }
 
-    function placeDataModules(matrix, reserved, size, data) {
-        let dataIndex = 0;
+    // Data module coordinates in placement order: two-column strips from
+    // firstColumn leftwards, alternately upwards and downwards, stepping over
+    // the vertical timing column (none in Micro QR and rMQR)
+    function getDataModulePositions(reserved, firstColumn, timingColumn = 6) {
+        const height = reserved.length;
+        const positions = [];
         let upward = true;
 
-        for (let col = size - 1; col > 0; col -= 2) {
-            if (col === 6) col = 5;
+        for (let col = firstColumn; col > 0; col -= 2) {
+            if (col === timingColumn) col--;
 
-            for (let row = 0; row < size; row++) {
-                const actualRow = upward ? size - 1 - row : row;
+            for (let row = 0; row < height; row++) {
+                const actualRow = upward ? height - 1 - row : row;
 
-                if (!reserved[actualRow][col] && dataIndex < data.length) {
-                    matrix[actualRow][col] = data[dataIndex++];
+                if (!reserved[actualRow][col]) {
+                    positions.push([actualRow, col]);
                 }
 
-                if (col > 0 && !reserved[actualRow][col - 1] && dataIndex < data.length) {
-                    matrix[actualRow][col - 1] = data[dataIndex++];
+                if (!reserved[actualRow][col - 1]) {
+                    positions.push([actualRow, col - 1]);
                 }
             }
 
             upward = !upward;
         }
+
+        return positions;
+    }
+
+    // Modules left over after the codewords are remainder bits (zero)
+    function placeDataModules(matrix, positions, data) {
+        for (let i = 0; i < positions.length; i++) {
+            const [row, col] = positions[i];
+            matrix[row][col] = i < data.length ? data[i] : 0;
+        }
     }
 
     function buildFunctionPatterns(version) {
@@ -621,107 +1287,240 @@ const QRCode = (function() {
         return { matrix, reserved, size };
     }
 
-    // ============================================================
-    // DATA MASKING
-    // ============================================================
-
-    const MASK_PATTERNS = [
-        (i, j) => (i + j) % 2 === 0,
-        (i, j) => i % 2 === 0,
-        (i, j) => j % 3 === 0,
-        (i, j) => (i + j) % 3 === 0,
-        (i, j) => (Math.floor(i / 2) + Math.floor(j / 3)) % 2 === 0,
-        (i, j) => ((i * j) % 2) + ((i * j) % 3) === 0,
-        (i, j) => (((i * j) % 2) + ((i * j) % 3)) % 2 === 0,
-        (i, j) => (((i + j) % 2) + ((i * j) % 3)) % 2 === 0
-    ];
+    // Micro QR has a single finder pattern, timing patterns along the top row
+    // and left column, and one copy of the format information
+    function buildMicroFunctionPatterns(version) {
+        const { matrix, reserved, size } = createMatrix(version);
 
-    function applyMask(matrix, reserved, size, maskPattern) {
-        const masked = matrix.map(row => [...row]);
-        const condition = MASK_PATTERNS[maskPattern];
+        placeFinderPattern(matrix, reserved, 0, 0);
 
-        for (let i = 0; i < size; i++) {
-            for (let j = 0; j < size; j++) {
-                if (!reserved[i][j] && condition(i, j)) {
-                    masked[i][j] ^= 1;
+        for (let i = 8; i < size; i++) {
+            const bit = (i + 1) % 2;
+            matrix[0][i] = bit;
+            matrix[i][0] = bit;
+            reserved[0][i] = true;
+            reserved[i][0] = true;
+        }
+
+        for (let i = 1; i <= 8; i++) {
+            reserved[8][i] = true;
+            reserved[i][8] = true;
+        }
+
+        return { matrix, reserved, size };
+    }
+
+    // rMQR: finder pattern top left, sub-finder bottom right, corner patterns
+    // in the other corners, timing along all four edges, and alignment
+    // patterns on the top and bottom edges joined by vertical timing lines
+    function buildRMQRFunctionPatterns(version) {
+        const { matrix, reserved, height, width } = createMatrix(version);
+        const set = (row, col, bit) => {
+            matrix[row][col] = bit;
+            reserved[row][col] = true;
+        };
+
+        placeFinderPattern(matrix, reserved, 0, 0);
+
+        // Sub-finder pattern: 5x5 dark ring, light ring, dark centre
+        for (let r = 0; r < 5; r++) {
+            for (let c = 0; c < 5; c++) {
+                const ring = Math.max(Math.abs(r - 2), Math.abs(c - 2));
+                set(height - 5 + r, width - 5 + c, ring === 1 ? 0 : 1);
+            }
+        }
+
+        // Alignment patterns: 3x3 dark ring with a light centre
+        for (const center of RMQR_ALIGNMENT_COLUMNS[width]) {
+            for (let r = 0; r < 3; r++) {
+                for (let c = -1; c <= 1; c++) {
+                    const bit = r === 1 && c === 0 ? 0 : 1;
+                    set(r, center + c, bit);
+                    set(height - 1 - r, center + c, bit);
+                }
+            }
+            for (let row = 3; row < height - 3; row++) {
+                set(row, center, (row + 1) % 2);
+            }
+        }
+
+        // Corner finder sub-patterns
+        set(0, width - 1, 1);
+        set(0, width - 2, 1);
+        set(1, width - 1, 1);
+        set(1, width - 2, 0);
+        set(height - 1, 0, 1);
+        set(height - 1, 1, 1);
+        set(height - 1, 2, 1);
+        if (height >= 11) {
+            set(height - 2, 0, 1);
+            set(height - 2, 1, 0);
+        }
+
+        for (let col = 0; col < width; col++) {
+            if (!reserved[0][col]) set(0, col, (col + 1) % 2);
+            if (!reserved[height - 1][col]) set(height - 1, col, (col + 1) % 2);
+        }
+        for (let row = 0; row < height; row++) {
+            if (!reserved[row][0]) set(row, 0, (row + 1) % 2);
+            if (!reserved[row][width - 1]) set(row, width - 1, (row + 1) % 2);
+        }
+
+        // Format information beside the finder and the sub-finder
+        for (const copy of getRMQRFormatPositions(height, width)) {
+            for (const [row, col] of copy) {
+                reserved[row][col] = true;
+            }
+        }
+
+        return { matrix, reserved, height, width };
+    }
+
+    function buildSymbolPatterns(version) {
+        if (isRMQR(version)) return buildRMQRFunctionPatterns(version);
+        return isMicro(version) ? buildMicroFunctionPatterns(version) : buildFunctionPatterns(version);
+    }
+
+    // Function patterns, reserved modules and data module order depend only
+    // on the version, so they are built once. Each call returns a fresh copy
+    // of the matrix; reserved and positions are shared and must not change.
+    const templateCache = new Map();
+
+    function getSymbolTemplate(version) {
+        let template = templateCache.get(version);
+        if (!template) {
+            template = buildSymbolPatterns(version);
+            const { firstColumn, timingColumn } = getPlacementColumns(version);
+            template.positions = getDataModulePositions(template.reserved, firstColumn, timingColumn);
+            templateCache.set(version, template);
+        }
+        return Object.assign({}, template, { matrix: template.matrix.map(row => row.slice()) });
+    }
+
+    // ============================================================
+    // DATA MASKING
+    // ============================================================
+
+    const MASK_PATTERNS = [
+        (i, j) => (i + j) % 2 === 0,
+        (i, j) => i % 2 === 0,
+        (i, j) => j % 3 === 0,
+        (i, j) => (i + j) % 3 === 0,
+        (i, j) => (Math.floor(i / 2) + Math.floor(j / 3)) % 2 === 0,
+        (i, j) => ((i * j) % 2) + ((i * j) % 3) === 0,
+        (i, j) => (((i * j) % 2) + ((i * j) % 3)) % 2 === 0,
+        (i, j) => (((i + j) % 2) + ((i * j) % 3)) % 2 === 0
+    ];
+
+    // Micro QR mask references 0-3 select these MASK_PATTERNS
+    const MICRO_MASKS = [1, 4, 6, 7];
+
+    // Modules each mask inverts, as (row << 8) | column, cached per reserved
+    // layout so symbols of the same version share them
+    const maskFlipCache = new WeakMap();
+
+    function getMaskFlips(reserved, maskPattern) {
+        let flips = maskFlipCache.get(reserved);
+        if (!flips) {
+            flips = [];
+            maskFlipCache.set(reserved, flips);
+        }
+
+        if (!flips[maskPattern]) {
+            const condition = MASK_PATTERNS[maskPattern];
+            const list = [];
+            for (let i = 0; i < reserved.length; i++) {
+                for (let j = 0; j < reserved[i].length; j++) {
+                    if (!reserved[i][j] && condition(i, j)) list.push((i << 8) | j);
                 }
             }
+            flips[maskPattern] = Int32Array.from(list);
+        }
+        return flips[maskPattern];
+    }
+
+    // XOR the mask into matrix itself
+    function applyMaskInPlace(matrix, reserved, maskPattern) {
+        const flips = getMaskFlips(reserved, maskPattern);
+        for (let k = 0; k < flips.length; k++) {
+            matrix[flips[k] >> 8][flips[k] & 0xFF] ^= 1;
         }
+        return matrix;
+    }
 
-        return masked;
+    function applyMask(matrix, reserved, maskPattern) {
+        return applyMaskInPlace(matrix.map(row => row.slice()), reserved, maskPattern);
     }
 
+    // 1011101 with four light modules after it, and before it
+    const FINDER_LIKE_AFTER = 0b10111010000;
+    const FINDER_LIKE_BEFORE = 0b00001011101;
+
+    // All four penalty rules in one pass over the rows. Column runs and the
+    // 11-module windows for rule 3 are carried along per column; the windows
+    // are bit masks, with a parallel mask of unset modules, which never match.
     function evaluateMask(matrix, size) {
+        const columnRuns = new Int32Array(size);
+        const columnWindows = new Int32Array(size);
+        const columnUnset = new Int32Array(size);
         let penalty = 0;
+        let darkCount = 0;
+        let previous = null;
 
-        // Rule 1: Adjacent modules in row/column in same color
         for (let i = 0; i < size; i++) {
-            let rowRun = 1;
-            let colRun = 1;
+            const row = matrix[i];
+            let rowRun = 0;
+            let rowWindow = 0;
+            let rowUnset = 0;
+
+            for (let j = 0; j < size; j++) {
+                const color = row[j];
+                const dark = color === 1 ? 1 : 0;
+                const unset = color === 0 || color === 1 ? 0 : 1;
+                darkCount += dark;
 
-            for (let j = 1; j < size; j++) {
-                if (matrix[i][j] === matrix[i][j - 1]) {
+                // Rule 1: Runs of five or more modules of one color
+                if (j > 0 && color === row[j - 1]) {
                     rowRun++;
                 } else {
-                    if (rowRun >= 5) penalty += 3 + (rowRun - 5);
+                    if (rowRun >= 5) penalty += rowRun - 2;
                     rowRun = 1;
                 }
-
-                if (matrix[j][i] === matrix[j - 1][i]) {
-                    colRun++;
+                if (previous && color === previous[j]) {
+                    columnRuns[j]++;
                 } else {
-                    if (colRun >= 5) penalty += 3 + (colRun - 5);
-                    colRun = 1;
+                    if (columnRuns[j] >= 5) penalty += columnRuns[j] - 2;
+                    columnRuns[j] = 1;
                 }
-            }
-
-            if (rowRun >= 5) penalty += 3 + (rowRun - 5);
-            if (colRun >= 5) penalty += 3 + (colRun - 5);
-        }
 
-        // Rule 2: Block of modules in same color (2x2)
-        for (let i = 0; i < size - 1; i++) {
-            for (let j = 0; j < size - 1; j++) {
-                const color = matrix[i][j];
-                if (matrix[i][j + 1] === color &&
-                    matrix[i + 1][j] === color &&
-                    matrix[i + 1][j + 1] === color) {
+                // Rule 2: 2x2 blocks of one color
+                if (previous && j > 0 && color === row[j - 1] && color === previous[j] && color === previous[j - 1]) {
                     penalty += 3;
                 }
-            }
-        }
-
-        // Rule 3: Finder-like pattern
-        const pattern1 = [1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0];
-        const pattern2 = [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1];
 
-        for (let i = 0; i < size; i++) {
-            for (let j = 0; j <= size - 11; j++) {
-                let match1 = true;
-                let match2 = true;
-                for (let k = 0; k < 11; k++) {
-                    if (matrix[i][j + k] !== pattern1[k]) match1 = false;
-                    if (matrix[i][j + k] !== pattern2[k]) match2 = false;
+                // Rule 3: Finder-like patterns ending here
+                rowWindow = ((rowWindow << 1) | dark) & 0x7FF;
+                rowUnset = ((rowUnset << 1) | unset) & 0x7FF;
+                if (j >= 10 && rowUnset === 0 &&
+                    (rowWindow === FINDER_LIKE_AFTER || rowWindow === FINDER_LIKE_BEFORE)) {
+                    penalty += 40;
                 }
-                if (match1 || match2) penalty += 40;
-
-                match1 = true;
-                match2 = true;
-                for (let k = 0; k < 11; k++) {
-                    if (matrix[j + k][i] !== pattern1[k]) match1 = false;
-                    if (matrix[j + k][i] !== pattern2[k]) match2 = false;
+                columnWindows[j] = ((columnWindows[j] << 1) | dark) & 0x7FF;
+                columnUnset[j] = ((columnUnset[j] << 1) | unset) & 0x7FF;
+                if (i >= 10 && columnUnset[j] === 0 &&
+                    (columnWindows[j] === FINDER_LIKE_AFTER || columnWindows[j] === FINDER_LIKE_BEFORE)) {
+                    penalty += 40;
                 }
-                if (match1 || match2) penalty += 40;
             }
+
+            if (rowRun >= 5) penalty += rowRun - 2;
+            previous = row;
+        }
+        for (let j = 0; j < size; j++) {
+            if (columnRuns[j] >= 5) penalty += columnRuns[j] - 2;
         }
 
         // Rule 4: Proportion of dark modules
-        let darkCount = 0;
-        for (let i = 0; i < size; i++) {
-            for (let j = 0; j < size; j++) {
-                if (matrix[i][j] === 1) darkCount++;
-            }
-        }
         const percent = (darkCount * 100) / (size * size);
         const deviation = Math.abs(percent - 50);
         penalty += Math.floor(deviation / 5) * 10;
@@ -729,13 +1528,16 @@ const QRCode = (function() {
         return penalty;
     }
 
+    // Masks are tried on one scratch copy, undoing each before the next
     function selectBestMask(matrix, reserved, size) {
+        const scratch = matrix.map(row => row.slice());
         let bestMask = 0;
         let bestPenalty = Infinity;
 
         for (let mask = 0; mask < 8; mask++) {
-            const masked = applyMask(matrix, reserved, size, mask);
-            const penalty = evaluateMask(masked, size);
+            applyMaskInPlace(scratch, reserved, mask);
+            const penalty = evaluateMask(scratch, size);
+            applyMaskInPlace(scratch, reserved, mask);
 
             if (penalty < bestPenalty) {
                 bestPenalty = penalty;
@@ -746,6 +1548,37 @@ const QRCode = (function() {
         return bestMask;
     }
 
+    // Micro QR scores masks by the dark modules on the right and bottom
+    // edges, favouring the mask whose sparser edge is darkest (Section 7.8.3.2)
+    function evaluateMicroMask(matrix, size) {
+        let right = 0;
+        let bottom = 0;
+        for (let i = 1; i < size; i++) {
+            right += matrix[i][size - 1];
+            bottom += matrix[size - 1][i];
+        }
+
+        return right <= bottom ? right * 16 + bottom : bottom * 16 + right;
+    }
+
+    function selectBestMicroMask(matrix, reserved, size) {
+        let bestMask = 0;
+        let bestScore = -1;
+
+        for (let mask = 0; mask < MICRO_MASKS.length; mask++) {
+            applyMaskInPlace(matrix, reserved, MICRO_MASKS[mask]);
+            const score = evaluateMicroMask(matrix, size);
+            applyMaskInPlace(matrix, reserved, MICRO_MASKS[mask]);
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestMask = mask;
+            }
+        }
+
+        return bestMask;
+    }
+
     // ============================================================
     // FORMAT AND VERSION INFORMATION
     // ============================================================
@@ -777,6 +1610,46 @@ const QRCode = (function() {
         }
     }
 
+    // Bits 0-7 run down column 8 and bits 14-7 along row 8, meeting at (8, 8)
+    function placeMicroFormatInfo(matrix, version, eccLevel, maskPattern) {
+        const symbolNumber = MICRO_ECC_TABLE[version][eccLevel].symbolNumber;
+        const formatBits = MICRO_FORMAT_INFO[(symbolNumber << 2) | maskPattern];
+
+        for (let i = 0; i < 8; i++) {
+            matrix[i + 1][8] = (formatBits >> i) & 1;
+            matrix[8][i + 1] = (formatBits >> (14 - i)) & 1;
+        }
+    }
+
+    // Bit i of each copy, in the 3x5 block plus 3 extra modules beside the
+    // finder pattern and the sub-finder pattern
+    function getRMQRFormatPositions(height, width) {
+        const left = [];
+        const right = [];
+        for (let i = 0; i < 15; i++) {
+            left.push([1 + i % 5, 8 + Math.floor(i / 5)]);
+            right.push([height - 6 + i % 5, width - 8 + Math.floor(i / 5)]);
+        }
+        for (let i = 0; i < 3; i++) {
+            left.push([1 + i, 11]);
+            right.push([height - 6, width - 5 + i]);
+        }
+        return [left, right];
+    }
+
+    function placeRMQRFormatInfo(matrix, version, eccLevel) {
+        const index = RMQR_VERSIONS.findIndex(entry => entry.name === version);
+        const formatBits = RMQR_FORMAT_INFO[((eccLevel === 'H' ? 1 : 0) << 5) | index];
+        const positions = getRMQRFormatPositions(matrix.length, matrix[0].length);
+
+        positions.forEach((copy, side) => {
+            const masked = formatBits ^ RMQR_FORMAT_MASKS[side];
+            copy.forEach(([row, col], i) => {
+                matrix[row][col] = (masked >> i) & 1;
+            });
+        });
+    }
+
     function placeVersionInfo(matrix, size, version) {
         if (version < 7) return;
 
@@ -798,116 +1671,4483 @@ const QRCode = (function() {
     }
 
     // ============================================================
-    // MAIN GENERATION FUNCTION
+    // GS1 ELEMENT STRINGS
     // ============================================================
 
-    function generate(data, eccLevel = 'M') {
-        if (!data || data.length === 0) {
-            throw new Error('Data cannot be empty');
+    // FNC1 field separator: ASCII GS, written as '%' in alphanumeric segments
+    const GS = '\x1D';
+
+    // Application Identifiers (GS1 General Specifications 3.2): numeric (N) or
+    // character set 82 (X) data, fixed length or maximum length, and whether
+    // the value ends in a mod-10 check digit or is a YYMMDD date
+    const GS1_AIS = {
+        '00': { charset: 'N', length: 18, check: true },
+        '01': { charset: 'N', length: 14, check: true },
+        '02': { charset: 'N', length: 14, check: true },
+        '10': { charset: 'X', max: 20 },
+        '11': { charset: 'N', length: 6, date: true },
+        '12': { charset: 'N', length: 6, date: true },
+        '13': { charset: 'N', length: 6, date: true },
+        '15': { charset: 'N', length: 6, date: true },
+        '16': { charset: 'N', length: 6, date: true },
+        '17': { charset: 'N', length: 6, date: true },
+        '20': { charset: 'N', length: 2 },
+        '21': { charset: 'X', max: 20 },
+        '22': { charset: 'X', max: 20 },
+        '235': { charset: 'X', max: 28 },
+        '240': { charset: 'X', max: 30 },
+        '241': { charset: 'X', max: 30 },
+        '250': { charset: 'X', max: 30 },
+        '251': { charset: 'X', max: 30 },
+        '254': { charset: 'X', max: 20 },
+        '30': { charset: 'N', max: 8 },
+        '37': { charset: 'N', max: 8 },
+        '400': { charset: 'X', max: 30 },
+        '401': { charset: 'X', max: 30 },
+        '402': { charset: 'N', length: 17, check: true },
+        '403': { charset: 'X', max: 30 },
+        '410': { charset: 'N', length: 13, check: true },
+        '411': { charset: 'N', length: 13, check: true },
+        '412': { charset: 'N', length: 13, check: true },
+        '413': { charset: 'N', length: 13, check: true },
+        '414': { charset: 'N', length: 13, check: true },
+        '415': { charset: 'N', length: 13, check: true },
+        '416': { charset: 'N', length: 13, check: true },
+        '417': { charset: 'N', length: 13, check: true },
+        '420': { charset: 'X', max: 20 },
+        '422': { charset: 'N', length: 3 },
+        '7003': { charset: 'N', length: 10 },
+        '8004': { charset: 'X', max: 30 },
+        '8005': { charset: 'N', length: 6 },
+        '8017': { charset: 'N', length: 18, check: true },
+        '8018': { charset: 'N', length: 18, check: true },
+        '8020': { charset: 'X', max: 25 },
+        '90': { charset: 'X', max: 30 }
+    };
+
+    // Trade measures (310n-369n) carry six digits with n decimal places,
+    // amounts (390n-393n) up to 15 digits (393n after a 3-digit currency)
+    [310, 311, 312, 313, 314, 315, 316, 320, 321, 322, 323, 324, 325, 326, 327, 328, 329,
+        330, 331, 332, 333, 334, 335, 336, 337, 340, 341, 342, 343, 344, 345, 346, 347, 348, 349,
+        350, 351, 352, 353, 354, 355, 356, 357, 360, 361, 362, 363, 364, 365, 366, 367, 368, 369].forEach(base => {
+        for (let n = 0; n <= 5; n++) GS1_AIS[`${base}${n}`] = { charset: 'N', length: 6 };
+    });
+    for (let n = 0; n <= 9; n++) {
+        GS1_AIS[`390${n}`] = { charset: 'N', max: 15 };
+        GS1_AIS[`391${n}`] = { charset: 'N', max: 18 };
+        GS1_AIS[`392${n}`] = { charset: 'N', max: 15 };
+        GS1_AIS[`393${n}`] = { charset: 'N', max: 18 };
+    }
+    for (let ai = 91; ai <= 99; ai++) GS1_AIS[String(ai)] = { charset: 'X', max: 90 };
+
+    // AIs starting with these digits have a predefined length and need no
+    // separator after them; every other AI does, even if its length is fixed
+    const GS1_PREDEFINED_LENGTH = ['00', '01', '02', '03', '04', '11', '12', '13', '14', '15', '16', '17', '18', '19', '20', '31', '32', '33', '34', '35', '36', '41'];
+
+    const GS1_CHARSET_82 = /^[!"%&'()*+,\-./0-9:;<=>?A-Z_a-z]*$/;
+
+    function gs1CheckDigit(digits) {
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            const weight = (digits.length - i) % 2 === 1 ? 3 : 1;
+            sum += Number(digits[i]) * weight;
         }
+        return (10 - (sum % 10)) % 10;
+    }
 
-        const mode = detectMode(data);
+    function validateGS1Element(ai, value) {
+        const spec = GS1_AIS[ai];
+        if (!spec) {
+            throw new Error(`Unknown GS1 Application Identifier (${ai})`);
+        }
 
-        let dataLength;
-        if (mode === 'BYTE') {
-            const encoder = new TextEncoder();
-            dataLength = encoder.encode(data).length;
-        } else {
-            dataLength = data.length;
+        if (spec.length !== undefined && value.length !== spec.length) {
+            throw new Error(`AI (${ai}) needs ${spec.length} characters, got ${value.length}`);
+        }
+        if (spec.max !== undefined && (value.length === 0 || value.length > spec.max)) {
+            throw new Error(`AI (${ai}) needs 1 to ${spec.max} characters, got ${value.length}`);
+        }
+        if (spec.charset === 'N' ? !/^\d+$/.test(value) : !GS1_CHARSET_82.test(value)) {
+            throw new Error(`Invalid characters for AI (${ai}): ${value}`);
         }
 
-        const version = selectVersion(dataLength, eccLevel, mode);
-        if (version === -1) {
-            throw new Error('Data too long for QR code');
+        if (spec.check && gs1CheckDigit(value.slice(0, -1)) !== Number(value[value.length - 1])) {
+            throw new Error(`Invalid check digit for AI (${ai}): ${value}`);
         }
+        if (spec.date) {
+            const month = Number(value.slice(2, 4));
+            const day = Number(value.slice(4, 6));
+            if (month < 1 || month > 12 || day > 31) {
+                throw new Error(`Invalid date for AI (${ai}): ${value}`);
+            }
+        }
+    }
 
-        const dataBits = createDataBitstream(data, version, eccLevel, mode);
-        const dataCodewords = bitsToCodewords(dataBits);
-        const finalCodewords = generateErrorCorrection(dataCodewords, version, eccLevel);
+    // Parse a bracketed element string such as (01)09501101530003(10)AB12
+    // into its elements and the encoded message with GS separators. A value
+    // runs up to the next bracketed known AI, so it may itself contain ( and )
+    function parseGS1(elementString) {
+        const pattern = /\((\d{2,4})\)/g;
+        const starts = [];
+        let match;
+
+        while ((match = pattern.exec(elementString)) !== null) {
+            if (match.index === 0 || GS1_AIS[match[1]]) starts.push(match);
+        }
+
+        if (starts.length === 0 || starts[0].index !== 0) {
+            throw new Error('GS1 data must be an element string such as (01)09501101530003(10)AB12');
+        }
+
+        const elements = starts.map((start, index) => {
+            const ai = start[1];
+            const end = index + 1 < starts.length ? starts[index + 1].index : elementString.length;
+            const value = elementString.slice(start.index + start[0].length, end);
+            validateGS1Element(ai, value);
+            return { ai, value };
+        });
+
+        let message = '';
+        elements.forEach(({ ai, value }, index) => {
+            message += ai + value;
+            if (index < elements.length - 1 && !GS1_PREDEFINED_LENGTH.includes(ai.slice(0, 2))) {
+                message += GS;
+            }
+        });
+
+        return { elements, message };
+    }
 
+    // FNC1 mode indicator: first position for GS1, or second position with an
+    // application indicator (00-99, or a letter encoded as its ASCII value + 100)
+    function encodeFNC1(applicationIndicator = null) {
         const bits = [];
-        for (const codeword of finalCodewords) {
-            for (let i = 7; i >= 0; i--) {
-                bits.push((codeword >> i) & 1);
+        const mode = applicationIndicator === null ? MODE.FNC1_FIRST : MODE.FNC1_SECOND;
+        for (let i = 3; i >= 0; i--) bits.push((mode >> i) & 1);
+
+        if (applicationIndicator !== null) {
+            let value;
+            if (typeof applicationIndicator === 'string' && /^[A-Za-z]$/.test(applicationIndicator)) {
+                value = applicationIndicator.charCodeAt(0) + 100;
+            } else if (Number.isInteger(applicationIndicator) && applicationIndicator >= 0 && applicationIndicator <= 99) {
+                value = applicationIndicator;
+            } else {
+                throw new Error(`Invalid FNC1 application indicator: ${applicationIndicator}`);
             }
+            for (let i = 7; i >= 0; i--) bits.push((value >> i) & 1);
         }
 
-        const remainderCount = REMAINDER_BITS[version];
-        for (let i = 0; i < remainderCount; i++) {
-            bits.push(0);
+        return bits;
+    }
+
+    // ============================================================
+    // LOGO AREAS
+    // ============================================================
+
+    // Share of each block's correction capacity a logo may use by default,
+    // leaving the rest for print defects and wear
+    const DEFAULT_LOGO_MAX_LOSS = 0.5;
+
+    // First data column and the column skipped for vertical timing
+    function getPlacementColumns(version) {
+        const { width } = getSymbolDimensions(version);
+        if (isRMQR(version)) return { firstColumn: width - 2, timingColumn: -1 };
+        return { firstColumn: width - 1, timingColumn: isMicro(version) ? 0 : 6 };
+    }
+
+    // Block index of each codeword in symbol order, matching the interleaving
+    // in generateErrorCorrection()
+    function getCodewordBlocks(eccInfo) {
+        const dataLengths = [];
+        for (const [count, dataWords] of eccInfo.blocks) {
+            for (let i = 0; i < count; i++) dataLengths.push(dataWords);
         }
 
-        const { matrix, reserved, size } = buildFunctionPatterns(version);
-        placeDataModules(matrix, reserved, size, bits);
+        const blocks = [];
+        for (let i = 0; i < Math.max(...dataLengths); i++) {
+            dataLengths.forEach((length, block) => {
+                if (i < length) blocks.push(block);
+            });
+        }
+        for (let i = 0; i < eccInfo.eccPerBlock; i++) {
+            dataLengths.forEach((length, block) => blocks.push(block));
+        }
+        return { blocks, blockCount: dataLengths.length };
+    }
 
-        const maskPattern = selectBestMask(matrix, reserved, size);
-        const maskedMatrix = applyMask(matrix, reserved, size, maskPattern);
+    // Codewords each block loses when the modules in area ({ x, y, width,
+    // height }) are unreadable, against the errors its ECC codewords correct.
+    // M1 only detects errors, so it can correct none.
+    function analyzeLogoArea(version, eccLevel, area) {
+        const eccInfo = getEccInfo(version, eccLevel);
+        const { positions } = getSymbolTemplate(version);
+        const { blocks, blockCount } = getCodewordBlocks(eccInfo);
+
+        // Micro QR data may end in a 4-bit codeword, so ECC codewords start
+        // at dataBits rather than on a byte boundary
+        const dataBits = isMicro(version) ? eccInfo.dataBits : null;
+        const dataCodewords = isMicro(version) ? Math.ceil(dataBits / 8) : 0;
+        const codewordAt = bit => {
+            if (dataBits === null) return Math.floor(bit / 8);
+            return bit < dataBits ? Math.floor(bit / 8) : dataCodewords + Math.floor((bit - dataBits) / 8);
+        };
 
-        placeFormatInfo(maskedMatrix, size, eccLevel, maskPattern);
-        placeVersionInfo(maskedMatrix, size, version);
+        const inArea = (row, col) => row >= area.y && row < area.y + area.height && col >= area.x && col < area.x + area.width;
+        const damaged = new Set();
+        positions.forEach(([row, col], bit) => {
+            const codeword = codewordAt(bit);
+            if (codeword < blocks.length && inArea(row, col)) damaged.add(codeword);
+        });
+
+        const correctable = version === 'M1' ? 0 : Math.floor(eccInfo.eccPerBlock / 2);
+        const lost = new Array(blockCount).fill(0);
+        damaged.forEach(codeword => lost[blocks[codeword]]++);
+
+        return lost.map((count, block) => ({
+            block,
+            eccCodewords: eccInfo.eccPerBlock,
+            correctable,
+            lost: count,
+            margin: correctable - count
+        }));
+    }
 
-        return {
-            matrix: maskedMatrix,
-            version,
-            size,
-            eccLevel,
-            maskPattern,
-            mode,
-            dataLength
+    // Why area cannot hold a logo, or null if it can
+    function checkLogoArea(version, eccLevel, area, maxLoss) {
+        const { height, width } = getSymbolDimensions(version);
+        if (area.width < 1 || area.height < 1 || area.x < 0 || area.y < 0 ||
+            area.x + area.width > width || area.y + area.height > height) {
+            return 'it does not fit inside the symbol';
+        }
+
+        const { reserved } = getSymbolTemplate(version);
+        for (let row = area.y; row < area.y + area.height; row++) {
+            for (let col = area.x; col < area.x + area.width; col++) {
+                if (reserved[row][col]) {
+                    return `it covers the function module at row ${row}, column ${col}`;
+                }
+            }
+        }
+
+        const overBudget = analyzeLogoArea(version, eccLevel, area)
+            .find(entry => entry.lost > Math.floor(entry.correctable * maxLoss));
+        if (overBudget) {
+            return `block ${overBudget.block} would lose ${overBudget.lost} codewords; ` +
+                `at most ${Math.floor(overBudget.correctable * maxLoss)} of its ${overBudget.correctable} correctable are allowed`;
+        }
+        return null;
+    }
+
+    // Place options.logo ({ width, height, x, y, mode, maxLoss, shrink, image })
+    // on a generated symbol. The area is centered unless x and y are given;
+    // with shrink it is reduced around its center until it fits the budget.
+    function placeLogo(matrix, version, eccLevel, logo) {
+        const { height: symbolHeight, width: symbolWidth } = getSymbolDimensions(version);
+        const mode = logo.mode || 'clear';
+        const maxLoss = logo.maxLoss === undefined ? DEFAULT_LOGO_MAX_LOSS : logo.maxLoss;
+        const width = logo.width;
+        const height = logo.height === undefined ? logo.width : logo.height;
+
+        if (mode !== 'clear' && mode !== 'cover') {
+            throw new Error(`Unknown logo mode: ${mode} (expected clear or cover)`);
+        }
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+            throw new Error('Logo width and height must be positive whole numbers of modules');
+        }
+        if (typeof maxLoss !== 'number' || maxLoss < 0 || maxLoss > 1) {
+            throw new Error('Logo maxLoss must be between 0 and 1');
+        }
+
+        const area = {
+            x: logo.x === undefined ? Math.floor((symbolWidth - width) / 2) : logo.x,
+            y: logo.y === undefined ? Math.floor((symbolHeight - height) / 2) : logo.y,
+            width,
+            height
         };
+
+        let problem = checkLogoArea(version, eccLevel, area, maxLoss);
+        while (problem && logo.shrink && area.width > 2 && area.height > 2) {
+            area.x++;
+            area.y++;
+            area.width -= 2;
+            area.height -= 2;
+            problem = checkLogoArea(version, eccLevel, area, maxLoss);
+        }
+        if (problem) {
+            throw new Error(`Logo of ${area.width}x${area.height} modules does not fit version ${version}-${eccLevel}: ${problem}`);
+        }
+
+        if (mode === 'clear') {
+            for (let row = area.y; row < area.y + area.height; row++) {
+                matrix[row].fill(0, area.x, area.x + area.width);
+            }
+        }
+
+        return Object.assign(area, {
+            mode,
+            image: logo.image === undefined ? null : logo.image,
+            blocks: analyzeLogoArea(version, eccLevel, area)
+        });
     }
 
     // ============================================================
-    // RENDERING
+    // MAIN GENERATION FUNCTION
     // ============================================================
 
-    function render(canvas, qrData, moduleSize = 8) {
-        const { matrix, size } = qrData;
-        const quietZone = 4;
-        const totalSize = (size + quietZone * 2) * moduleSize;
+    // Pick the byte mode character set and ECI designator from the options:
+    // an explicit eci selects its character set, latin1 prefers ISO-8859-1
+    // when every character fits, and eci: true declares whichever was used
+    function resolveCharset(data, options) {
+        const texts = Array.isArray(data) ?
+            data.filter(segment => segment && segment.mode === 'BYTE').map(segment => segment.data) :
+            [data];
+
+        if (typeof options.eci === 'number') {
+            const charset = ECI_CHARSETS[options.eci];
+            if (!charset) {
+                throw new Error(`Unsupported ECI designator: ${options.eci}`);
+            }
+            return { charset, eci: options.eci };
+        }
 
-        canvas.width = totalSize;
-        canvas.height = totalSize;
+        let charset = 'UTF-8';
+        if (options.latin1 && texts.every(text => Array.from(text).every(char => char.codePointAt(0) <= 0xFF))) {
+            charset = 'ISO-8859-1';
+        }
 
-        const ctx = canvas.getContext('2d');
+        let eci = null;
+        if (options.eci) {
+            eci = Number(Object.keys(ECI_CHARSETS).find(key => ECI_CHARSETS[key] === charset));
+        }
+        return { charset, eci };
+    }
 
-        ctx.fillStyle = '#FFFFFF';
-        ctx.fillRect(0, 0, totalSize, totalSize);
+    function validateEccLevel(eccLevel) {
+        if (!Object.keys(ECC_LEVELS).includes(eccLevel)) {
+            throw new InvalidEccLevelError(`Invalid ECC level: ${eccLevel} (expected L, M, Q or H)`,
+                { eccLevel, supportedLevels: Object.keys(ECC_LEVELS) });
+        }
+    }
 
-        ctx.fillStyle = '#000000';
-        for (let i = 0; i < size; i++) {
-            for (let j = 0; j < size; j++) {
-                if (matrix[i][j] === 1) {
-                    ctx.fillRect(
-                        (j + quietZone) * moduleSize,
-                        (i + quietZone) * moduleSize,
-                        moduleSize,
-                        moduleSize
-                    );
-                }
+    // Regular QR version bounds: integers from 1 to 40, minVersion <= maxVersion
+    function getVersionRange(options) {
+        const minVersion = options.minVersion === undefined ? 1 : options.minVersion;
+        const maxVersion = options.maxVersion === undefined ? 40 : options.maxVersion;
+        for (const [name, value] of [['minVersion', minVersion], ['maxVersion', maxVersion]]) {
+            if (!Number.isInteger(value) || value < 1 || value > 40) {
+                throw new Error(`Invalid ${name}: ${value} (expected 1-40)`);
+            }
+        }
+        if (minVersion > maxVersion) {
+            throw new Error(`minVersion ${minVersion} is greater than maxVersion ${maxVersion}`);
+        }
+        return { minVersion, maxVersion };
+    }
+
+    // The header bits, character set and segmentsForVersion (see
+    // measureVersion) for the data and the generate() options
+    function prepareData(data, options) {
+        if (options.mode !== undefined && Array.isArray(data)) {
+            throw new Error('A forced mode cannot be combined with explicit segments');
+        }
+        if (!data || data.length === 0) {
+            throw new EmptyDataError('Data cannot be empty');
+        }
+
+        let fnc1 = null;
+        if (options.gs1) {
+            if (typeof data !== 'string') {
+                throw new Error('GS1 data must be an element string');
+            }
+            if (options.applicationIndicator !== undefined) {
+                throw new Error('GS1 uses FNC1 in first position; omit applicationIndicator');
+            }
+            data = parseGS1(data).message;
+            fnc1 = { position: 1 };
+        } else if (options.applicationIndicator !== undefined) {
+            fnc1 = { position: 2, applicationIndicator: options.applicationIndicator };
+        }
+
+        const { charset, eci } = resolveCharset(data, options);
+        const header = [];
+        if (options.structuredAppend) {
+            header.push(...encodeStructuredAppend(options.structuredAppend));
+        }
+        if (eci !== null) {
+            header.push(...encodeECI(eci));
+        }
+        if (fnc1) {
+            header.push(...encodeFNC1(fnc1.position === 2 ? fnc1.applicationIndicator : null));
+        }
+
+        let segmentsForVersion;
+        if (Array.isArray(data)) {
+            const explicitSegments = data.map(validateSegment);
+            segmentsForVersion = () => explicitSegments;
+        } else if (options.mode !== undefined) {
+            // In FNC1 mode the group separator is written as '%' (see makeSegments)
+            let forced = data;
+            if (fnc1 && options.mode === 'ALPHANUMERIC') {
+                forced = data.replace(/%/g, '%%').split(GS).join('%');
+            }
+            const forcedSegments = [validateSegment({ mode: options.mode, data: forced })];
+            segmentsForVersion = () => forcedSegments;
+        } else {
+            const cache = {};
+            segmentsForVersion = version => {
+                const group = getVersionGroup(version);
+                if (!(group in cache)) cache[group] = makeSegments(data, version, charset, fnc1 !== null);
+                return cache[group];
+            };
+        }
+
+        return { fnc1, charset, eci, header, segmentsForVersion };
+    }
+
+    // details are { symbol, version, eccLevel, requiredBits, availableBits,
+    // bestEccLevel, ... }; overflowBits is derived from the bit counts, and
+    // the message names any lower ECC level that would fit
+    function makeDataTooLongError(message, details) {
+        const { requiredBits, availableBits, bestEccLevel } = details;
+        const overflowBits = requiredBits === null ? null : requiredBits - availableBits;
+        if (bestEccLevel) {
+            message += `; ECC level ${bestEccLevel} fits`;
+        }
+        return new DataTooLongError(message, Object.assign({}, details, { overflowBits }));
+    }
+
+    // Measured against the largest of versions, with the highest ECC level
+    // that fits any of them
+    function makeVersionsTooLongError(symbol, versions, eccLevel, prepared) {
+        const { header, charset, segmentsForVersion } = prepared;
+        let measured = null;
+        let version = null;
+        for (let i = versions.length - 1; i >= 0 && !measured; i--) {
+            version = versions[i];
+            measured = measureVersion(segmentsForVersion, version, eccLevel, header, charset);
+        }
+
+        let bestEccLevel = null;
+        for (const level of Object.keys(ECC_LEVELS).slice(0, ECC_LEVELS[eccLevel]).reverse()) {
+            if (selectVersion(segmentsForVersion, level, header, charset, versions) !== -1) {
+                bestEccLevel = level;
+                break;
+            }
+        }
+
+        let message = `Data too long for ${symbol} code`;
+        if (measured) {
+            message += `: needs ${measured.requiredBits} bits, version ${version}-${eccLevel} holds ${measured.availableBits}`;
+        }
+        return makeDataTooLongError(message, {
+            symbol,
+            version: measured ? version : null,
+            eccLevel,
+            requiredBits: measured ? measured.requiredBits : null,
+            availableBits: measured ? measured.availableBits : null,
+            bestEccLevel
+        });
+    }
+
+    // data is either a string, segmented automatically, or an explicit array
+    // of { mode, data } segments that is encoded as given. options may be an
+    // ECC level string or { eccLevel, eci, latin1, minVersion, maxVersion, mask,
+    // mode, boostEcc, structuredAppend, micro, rmqr, maxHeight, gs1,
+    // applicationIndicator, logo }, where micro is true for Micro QR only or 'auto'
+    // to prefer it, rmqr picks the smallest rMQR up to maxHeight modules, and
+    // gs1 treats data as a GS1 element string. mode forces a single segment,
+    // boostEcc raises the ECC level as far as the chosen version allows and
+    // logo reserves an area of the symbol (see placeLogo).
+    function generate(data, options = {}) {
+        if (typeof options === 'string') {
+            options = { eccLevel: options };
+        }
+        let eccLevel = options.eccLevel || 'M';
+        validateEccLevel(eccLevel);
+        const { minVersion, maxVersion } = getVersionRange(options);
+
+        const mask = options.mask;
+        if (mask !== undefined && !(Number.isInteger(mask) && mask >= 0 && mask <= 7)) {
+            throw new Error(`Invalid mask pattern: ${mask} (expected 0-7)`);
+        }
+
+        const prepared = prepareData(data, options);
+        const { fnc1, charset, eci, header, segmentsForVersion } = prepared;
+
+        // Micro QR and rMQR cannot carry ECI, FNC1 or Structured Append headers
+        const versions = [];
+        if (options.rmqr) {
+            if (options.micro) {
+                throw new Error('Choose either Micro QR or rMQR');
+            }
+            if (header.length > 0) {
+                throw new Error('rMQR symbols cannot carry ECI, FNC1 or structured append headers');
+            }
+            if (eccLevel !== 'M' && eccLevel !== 'H') {
+                throw new InvalidEccLevelError(`rMQR symbols do not support ECC level ${eccLevel}`,
+                    { eccLevel, supportedLevels: ['M', 'H'] });
+            }
+            if (mask !== undefined && mask !== 4) {
+                throw new Error('rMQR symbols always use mask pattern 4');
+            }
+
+            // Smallest area first, the shorter symbol breaking ties
+            const maxHeight = options.maxHeight || 17;
+            versions.push(...RMQR_VERSIONS
+                .filter(entry => entry.height <= maxHeight)
+                .sort((a, b) => a.height * a.width - b.height * b.width || a.height - b.height)
+                .map(entry => entry.name));
+            if (versions.length === 0) {
+                throw new Error(`No rMQR symbol is ${maxHeight} modules high or less`);
             }
+        } else if (options.micro) {
+            if (header.length > 0 && options.micro === true) {
+                throw new Error('Micro QR symbols cannot carry ECI, FNC1 or structured append headers');
+            }
+            if (mask > 3 && options.micro === true) {
+                throw new Error('Micro QR symbols use mask patterns 0-3');
+            }
+            if (header.length === 0 && !(mask > 3)) {
+                versions.push(...Object.keys(MICRO_ECC_TABLE).filter(version => MICRO_ECC_TABLE[version][eccLevel]));
+            }
+            if (versions.length === 0 && options.micro === true) {
+                throw new InvalidEccLevelError(`Micro QR symbols do not support ECC level ${eccLevel}`,
+                    { eccLevel, supportedLevels: ['L', 'M', 'Q'] });
+            }
+        }
+        if (options.micro !== true && !options.rmqr) {
+            for (let version = minVersion; version <= maxVersion; version++) versions.push(version);
+        }
+
+        const version = selectVersion(segmentsForVersion, eccLevel, header, charset, versions);
+        if (version === -1) {
+            const symbol = options.rmqr ? 'rMQR' : (options.micro === true ? 'Micro QR' : 'QR');
+            throw makeVersionsTooLongError(symbol, versions, eccLevel, prepared);
         }
+        const micro = isMicro(version);
+        const rmqr = isRMQR(version);
+
+        // Spare capacity in the chosen version goes to error correction
+        if (options.boostEcc) {
+            for (const level of Object.keys(ECC_LEVELS).slice(ECC_LEVELS[eccLevel] + 1)) {
+                if (selectVersion(segmentsForVersion, level, header, charset, [version]) === version) {
+                    eccLevel = level;
+                }
+            }
+        }
+
+        const segments = segmentsForVersion(version);
+        const mode = segments.length === 1 ? segments[0].mode : 'MIXED';
+        const dataLength = segments.reduce((sum, segment) => sum + getSegmentCharCount(segment, charset), 0);
+
+        const dataBits = createDataBitstream(segments, version, eccLevel, header, charset);
+        const dataCodewords = bitsToCodewords(dataBits);
+        const finalCodewords = generateErrorCorrection(dataCodewords, version, eccLevel);
+
+        const bits = [];
+        if (micro) {
+            // Single block: the data bits, including any 4-bit final codeword,
+            // are followed directly by the ECC codewords
+            bits.push(...dataBits);
+            for (const codeword of finalCodewords.slice(dataCodewords.length)) {
+                for (let i = 7; i >= 0; i--) {
+                    bits.push((codeword >> i) & 1);
+                }
+            }
+        } else {
+            for (const codeword of finalCodewords) {
+                for (let i = 7; i >= 0; i--) {
+                    bits.push((codeword >> i) & 1);
+                }
+            }
+
+            if (!rmqr) {
+                const remainderCount = REMAINDER_BITS[version];
+                for (let i = 0; i < remainderCount; i++) {
+                    bits.push(0);
+                }
+            }
+        }
+
+        let maskPattern;
+        let maskedMatrix;
+
+        const { matrix, reserved, positions, size } = getSymbolTemplate(version);
+        placeDataModules(matrix, positions, bits);
+
+        if (micro) {
+            maskPattern = mask !== undefined ? mask : selectBestMicroMask(matrix, reserved, size);
+            maskedMatrix = applyMask(matrix, reserved, MICRO_MASKS[maskPattern]);
+
+            placeMicroFormatInfo(maskedMatrix, version, eccLevel, maskPattern);
+        } else if (rmqr) {
+            // rMQR uses mask 4 only
+            maskPattern = 4;
+            maskedMatrix = applyMask(matrix, reserved, maskPattern);
+
+            placeRMQRFormatInfo(maskedMatrix, version, eccLevel);
+        } else {
+            maskPattern = mask !== undefined ? mask : selectBestMask(matrix, reserved, size);
+            maskedMatrix = applyMask(matrix, reserved, maskPattern);
+
+            placeFormatInfo(maskedMatrix, size, eccLevel, maskPattern);
+            placeVersionInfo(maskedMatrix, size, version);
+        }
+
+        const { height, width } = getSymbolDimensions(version);
+        const logo = options.logo ? placeLogo(maskedMatrix, version, eccLevel, options.logo) : null;
+
+        return {
+            matrix: maskedMatrix.map(row => Array.from(row)),
+            version,
+            size: height === width ? width : null,
+            width,
+            height,
+            eccLevel,
+            maskPattern,
+            mode,
+            segments: segments.map(segment => ({ mode: segment.mode, data: segment.data })),
+            eci,
+            charset,
+            structuredAppend: options.structuredAppend ? Object.assign({}, options.structuredAppend) : null,
+            fnc1,
+            logo,
+            dataLength
+        };
+    }
+
+    // Split text across up to 16 linked symbols. Chunks are cut on code point
+    // boundaries, so multi-byte UTF-8 sequences are never split, and each
+    // chunk is filled as far as options.maxVersion allows.
+    function generateStructured(data, options = {}) {
+        if (typeof options === 'string') {
+            options = { eccLevel: options };
+        }
+        if (typeof data !== 'string' || data.length === 0) {
+            throw new EmptyDataError('Data cannot be empty');
+        }
+        if (options.gs1 || options.applicationIndicator !== undefined) {
+            throw new Error('FNC1 modes are not supported across structured append symbols');
+        }
+
+        const eccLevel = options.eccLevel || 'M';
+        validateEccLevel(eccLevel);
+        const { maxVersion } = getVersionRange(options);
+        const { charset, eci } = resolveCharset(data, options);
+
+        // Every chunk must use the character set chosen for the whole message
+        const chunkOptions = Object.assign({}, options, { eccLevel, maxVersion, eci: undefined, latin1: false, micro: false, rmqr: false });
+        if (eci !== null) {
+            chunkOptions.eci = eci;
+        } else if (charset === 'ISO-8859-1') {
+            chunkOptions.latin1 = true;
+        }
+
+        const headerLength = 20 + (eci === null ? 0 : encodeECI(eci).length);
+        const getBits = text => {
+            let bits = headerLength;
+            const segments = options.mode !== undefined ?
+                [validateSegment({ mode: options.mode, data: text })] : makeSegments(text, maxVersion, charset);
+            for (const segment of segments) {
+                bits += getSegmentBits(segment, maxVersion, charset);
+            }
+            return bits;
+        };
+
+        // Greedy split at an ECC level into chunks and the bits each needs.
+        // stuck holds the bits of a character that fits no symbol, or null.
+        const chars = Array.from(data);
+        const split = level => {
+            const capacity = getDataCapacityBits(maxVersion, level);
+            const chunks = [];
+            const bits = [];
+            let start = 0;
+            while (start < chars.length) {
+                let low = 0;
+                let high = chars.length - start;
+                while (low < high) {
+                    const middle = Math.ceil((low + high) / 2);
+                    if (getBits(chars.slice(start, start + middle).join('')) <= capacity) {
+                        low = middle;
+                    } else {
+                        high = middle - 1;
+                    }
+                }
+
+                if (low === 0) {
+                    return { chunks, bits, stuck: getBits(chars[start]) };
+                }
+                chunks.push(chars.slice(start, start + low).join(''));
+                bits.push(getBits(chunks[chunks.length - 1]));
+                start += low;
+            }
+            return { chunks, bits, stuck: null };
+        };
+
+        const { chunks, bits, stuck } = split(eccLevel);
+        if (stuck !== null || chunks.length > 16) {
+            const bestEccLevel = Object.keys(ECC_LEVELS).slice(0, ECC_LEVELS[eccLevel]).reverse().find(level => {
+                const attempt = split(level);
+                return attempt.stuck === null && attempt.chunks.length <= 16;
+            }) || null;
+            const details = { symbol: 'QR', version: maxVersion, eccLevel, bestEccLevel };
+
+            if (stuck !== null) {
+                const capacity = getDataCapacityBits(maxVersion, eccLevel);
+                throw makeDataTooLongError(
+                    `Data too long for version ${maxVersion} structured append symbols: ` +
+                    `one character needs ${stuck} bits, a symbol holds ${capacity}`,
+                    Object.assign(details, { requiredBits: stuck, availableBits: capacity, symbols: null }));
+            }
+
+            // Bit counts cover the series: what the 16 allowed symbols carry
+            // against what all the symbols the data needs would
+            const sum = values => values.reduce((total, value) => total + value, 0);
+            const requiredBits = sum(bits);
+            const availableBits = sum(bits.slice(0, 16));
+            throw makeDataTooLongError(
+                `Data needs ${chunks.length} symbols at version ${maxVersion}; structured append allows at most 16 ` +
+                `(${requiredBits} bits, 16 symbols carry ${availableBits})`,
+                Object.assign(details, { requiredBits, availableBits, symbols: chunks.length }));
+        }
+
+        let parity = 0;
+        for (const byte of encodeText(data, charset)) {
+            parity ^= byte;
+        }
+
+        return chunks.map((chunk, index) => generate(chunk, Object.assign({}, chunkOptions, {
+            structuredAppend: { index, total: chunks.length, parity }
+        })));
+    }
+
+    // Bits the data needs against the data bits of each regular QR version
+    // at every ECC level, with the same options as generate(). version is
+    // the smallest that fits at options.eccLevel, or null, and the bit
+    // counts at the top level are for that version (else maxVersion).
+    function capacity(data, options = {}) {
+        if (typeof options === 'string') {
+            options = { eccLevel: options };
+        }
+        if (options.micro || options.rmqr) {
+            throw new Error('capacity() covers regular QR symbols only');
+        }
+        const eccLevel = options.eccLevel || 'M';
+        validateEccLevel(eccLevel);
+        const { minVersion, maxVersion } = getVersionRange(options);
+        const { header, charset, segmentsForVersion } = prepareData(data, options);
+
+        const versions = [];
+        const smallest = { L: null, M: null, Q: null, H: null };
+        for (let version = minVersion; version <= maxVersion; version++) {
+            const availableBits = {};
+            let requiredBits;
+            for (const level of Object.keys(ECC_LEVELS)) {
+                const measured = measureVersion(segmentsForVersion, version, level, header, charset);
+                requiredBits = measured.requiredBits;
+                availableBits[level] = measured.availableBits;
+                if (smallest[level] === null && measured.fits) {
+                    smallest[level] = version;
+                }
+            }
+            versions.push({ version, requiredBits, availableBits });
+        }
+
+        const version = smallest[eccLevel];
+        const entry = versions[(version || maxVersion) - minVersion];
+        const bestEccLevel = Object.keys(ECC_LEVELS).reverse().find(level => smallest[level] !== null) || null;
+        return {
+            eccLevel,
+            version,
+            requiredBits: entry.requiredBits,
+            availableBits: entry.availableBits[eccLevel],
+            spareBits: entry.availableBits[eccLevel] - entry.requiredBits,
+            bestEccLevel,
+            smallest,
+            versions
+        };
+    }
+
+    // ============================================================
+    // DECODING
+    // ============================================================
+
+    function bitCount(value) {
+        let count = 0;
+        while (value) {
+            count += value & 1;
+            value >>>= 1;
+        }
+        return count;
+    }
+
+    // Return the index of the closest table entry within 3 bit errors, or -1
+    function closestCodeword(table, value, first = 0) {
+        let best = -1;
+        let bestDistance = 4;
+
+        for (let i = first; i < table.length; i++) {
+            if (table[i] === null) continue;
+            const distance = bitCount(table[i] ^ value);
+            if (distance < bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        }
+
+        return best;
+    }
+
+    // Index and distance of the nearest table entry, however far
+    function nearestCodeword(table, value, first = 0) {
+        let best = -1;
+        let bestDistance = Infinity;
+        for (let i = first; i < table.length; i++) {
+            if (table[i] === null) continue;
+            const distance = bitCount(table[i] ^ value);
+            if (distance < bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        }
+        return { index: best, distance: bestDistance };
+    }
+
+    function describeMicroFormat(index) {
+        for (const version of Object.keys(MICRO_ECC_TABLE)) {
+            for (const eccLevel of Object.keys(MICRO_ECC_TABLE[version])) {
+                if (MICRO_ECC_TABLE[version][eccLevel].symbolNumber === index >> 2) {
+                    return { version, eccLevel, maskPattern: index & 3 };
+                }
+            }
+        }
+        return null;
+    }
+
+    function describeFormat(index) {
+        const eccLevel = Object.keys(ECC_INDICATORS).find(level => ECC_INDICATORS[level] === index >> 3);
+        return { eccLevel, maskPattern: index & 7 };
+    }
+
+    function readFormatInfo(matrix, size) {
+        // First copy, mirroring placeFormatInfo()
+        let first = 0;
+        for (let i = 0; i < 6; i++) {
+            first |= matrix[8][i] << (14 - i);
+        }
+        first |= matrix[8][7] << 8;
+        first |= matrix[8][8] << 7;
+        first |= matrix[7][8] << 6;
+        for (let i = 0; i < 6; i++) {
+            first |= matrix[i][8] << i;
+        }
+
+        // Second copy split between bottom-left and top-right
+        let second = 0;
+        for (let i = 0; i < 7; i++) {
+            second |= matrix[size - 1 - i][8] << i;
+        }
+        for (let i = 0; i < 8; i++) {
+            second |= matrix[8][size - 8 + i] << (7 + i);
+        }
+
+        // Trust whichever copy lies nearer a valid codeword
+        const a = nearestCodeword(FORMAT_INFO, first);
+        const b = nearestCodeword(FORMAT_INFO, second);
+        const { index, distance } = b.distance < a.distance ? b : a;
+        if (distance > 3) {
+            throw new Error('Format information is unreadable');
+        }
+
+        return describeFormat(index);
+    }
+
+    // Mirrors placeMicroFormatInfo(); the symbol number gives version and ECC level
+    function readMicroFormatInfo(matrix) {
+        let value = 0;
+        for (let i = 0; i < 8; i++) {
+            value |= matrix[i + 1][8] << i;
+            value |= matrix[8][i + 1] << (14 - i);
+        }
+
+        const index = closestCodeword(MICRO_FORMAT_INFO, value);
+        if (index === -1) {
+            throw new Error('Format information is unreadable');
+        }
+
+        return describeMicroFormat(index);
+    }
+
+    // Try the copy beside the finder pattern, then the one by the sub-finder
+    function readRMQRFormatInfo(matrix) {
+        const positions = getRMQRFormatPositions(matrix.length, matrix[0].length);
+
+        for (let side = 0; side < 2; side++) {
+            let value = 0;
+            positions[side].forEach(([row, col], i) => {
+                value |= matrix[row][col] << i;
+            });
+
+            const index = closestCodeword(RMQR_FORMAT_INFO, value ^ RMQR_FORMAT_MASKS[side]);
+            if (index !== -1 && (index & 31) < RMQR_VERSIONS.length) {
+                return {
+                    version: RMQR_VERSIONS[index & 31].name,
+                    eccLevel: index >> 5 ? 'H' : 'M',
+                    maskPattern: 4
+                };
+            }
+        }
+
+        throw new Error('Format information is unreadable');
+    }
+
+    function readVersionInfo(matrix, size) {
+        let first = 0;
+        let second = 0;
+
+        for (let i = 0; i < 6; i++) {
+            for (let j = 0; j < 3; j++) {
+                first |= matrix[size - 11 + j][i] << (i * 3 + j);
+                second |= matrix[i][size - 11 + j] << (i * 3 + j);
+            }
+        }
+
+        let version = closestCodeword(VERSION_INFO, first, 7);
+        if (version === -1) version = closestCodeword(VERSION_INFO, second, 7);
+        return version;
+    }
+
+    // Read modules in the same zigzag order used by placeDataModules()
+    function readDataModules(matrix, reserved, firstColumn, timingColumn) {
+        return getDataModulePositions(reserved, firstColumn, timingColumn).map(([row, col]) => matrix[row][col]);
+    }
+
+    // Undo generateErrorCorrection(): split interleaved codewords into blocks
+    function deinterleaveBlocks(codewords, version, eccLevel) {
+        const eccInfo = getEccInfo(version, eccLevel);
+        const blocks = [];
+
+        for (const [count, dataWords] of eccInfo.blocks) {
+            for (let i = 0; i < count; i++) {
+                blocks.push({ data: [], ecc: [], dataWords });
+            }
+        }
+
+        let index = 0;
+        const maxDataLength = Math.max(...blocks.map(b => b.dataWords));
+        for (let i = 0; i < maxDataLength; i++) {
+            for (const block of blocks) {
+                if (i < block.dataWords) {
+                    block.data.push(codewords[index++]);
+                }
+            }
+        }
+
+        for (let i = 0; i < eccInfo.eccPerBlock; i++) {
+            for (const block of blocks) {
+                block.ecc.push(codewords[index++]);
+            }
+        }
+
+        return blocks;
+    }
+
+    function createBitReader(codewords, totalBits = codewords.length * 8) {
+        let position = 0;
+
+        return {
+            available() {
+                return totalBits - position;
+            },
+            read(count) {
+                if (count > totalBits - position) {
+                    throw new Error('Unexpected end of data');
+                }
+                let value = 0;
+                for (let i = 0; i < count; i++) {
+                    const bit = (codewords[position >> 3] >> (7 - (position & 7))) & 1;
+                    value = (value << 1) | bit;
+                    position++;
+                }
+                return value;
+            }
+        };
+    }
+
+    function parseSegments(codewords, version, totalBits = codewords.length * 8) {
+        const reader = createBitReader(codewords, totalBits);
+        const micro = isMicro(version);
+        let modes = micro ? MICRO_MODE : MODE;
+        if (isRMQR(version)) modes = RMQR_MODE;
+        const modeBits = getModeIndicatorBits(version);
+        const segments = [];
+        let charset = null;
+        let fnc1 = false;
+
+        while (reader.available() >= getTerminatorBits(version)) {
+            const modeIndicator = reader.read(modeBits);
+            if (!micro && modeIndicator === MODE.TERMINATOR) break;
+
+            const mode = Object.keys(modes).find(name => modes[name] === modeIndicator);
+
+            if (mode === 'ECI') {
+                let designator = reader.read(8);
+                if ((designator & 0xC0) === 0x80) {
+                    designator = ((designator & 0x3F) << 8) | reader.read(8);
+                } else if ((designator & 0xE0) === 0xC0) {
+                    designator = ((designator & 0x1F) << 16) | reader.read(16);
+                }
+                if (!ECI_CHARSETS[designator]) {
+                    throw new Error(`Unsupported ECI designator: ${designator}`);
+                }
+                charset = ECI_CHARSETS[designator];
+                segments.push({ mode, designator });
+                continue;
+            }
+
+            if (mode === 'STRUCTURED_APPEND') {
+                const index = reader.read(4);
+                const total = reader.read(4) + 1;
+                segments.push({ mode, index, total, parity: reader.read(8) });
+                continue;
+            }
+
+            if (mode === 'FNC1_FIRST') {
+                fnc1 = true;
+                segments.push({ mode });
+                continue;
+            }
+
+            if (mode === 'FNC1_SECOND') {
+                const value = reader.read(8);
+                fnc1 = true;
+                segments.push({ mode, applicationIndicator: value >= 100 ? String.fromCharCode(value - 100) : value });
+                continue;
+            }
+
+            if (mode !== 'NUMERIC' && mode !== 'ALPHANUMERIC' && mode !== 'BYTE' && mode !== 'KANJI') {
+                throw new Error(`Unsupported mode indicator 0b${modeIndicator.toString(2).padStart(modeBits, '0')}`);
+            }
+
+            const countBits = getCharCountBits(version, mode);
+            if (countBits === null) {
+                throw new Error(`${mode} mode is not available in ${version}`);
+            }
+
+            // The Micro QR terminator reads as an empty numeric segment
+            const count = reader.read(countBits);
+            if (micro && mode === 'NUMERIC' && count === 0) break;
+
+            let text = '';
+
+            if (mode === 'NUMERIC') {
+                let remaining = count;
+                while (remaining > 0) {
+                    const digits = Math.min(3, remaining);
+                    const value = reader.read([0, 4, 7, 10][digits]);
+                    if (value >= Math.pow(10, digits)) {
+                        throw new Error('Invalid numeric data');
+                    }
+                    text += String(value).padStart(digits, '0');
+                    remaining -= digits;
+                }
+            } else if (mode === 'ALPHANUMERIC') {
+                let remaining = count;
+                while (remaining > 1) {
+                    const value = reader.read(11);
+                    if (value >= 45 * 45) {
+                        throw new Error('Invalid alphanumeric data');
+                    }
+                    text += ALPHANUMERIC_CHARS[Math.floor(value / 45)] + ALPHANUMERIC_CHARS[value % 45];
+                    remaining -= 2;
+                }
+                if (remaining === 1) {
+                    const value = reader.read(6);
+                    if (value >= 45) {
+                        throw new Error('Invalid alphanumeric data');
+                    }
+                    text += ALPHANUMERIC_CHARS[value];
+                }
+                if (fnc1) {
+                    text = text.replace(/%%?/g, escape => (escape === '%%' ? '%' : GS));
+                }
+            } else if (mode === 'KANJI') {
+                const bytes = new Uint8Array(count * 2);
+                for (let i = 0; i < count; i++) {
+                    const value = reader.read(13);
+                    let code = (Math.floor(value / 0xC0) << 8) | (value % 0xC0);
+                    code += code < 0x1F00 ? 0x8140 : 0xC140;
+                    bytes[i * 2] = code >> 8;
+                    bytes[i * 2 + 1] = code & 0xFF;
+                }
+                text = new TextDecoder('shift_jis').decode(bytes);
+            } else {
+                const bytes = new Uint8Array(count);
+                for (let i = 0; i < count; i++) {
+                    bytes[i] = reader.read(8);
+                }
+                text = decodeText(bytes, charset);
+            }
+
+            segments.push({ mode, data: text });
+        }
+
+        return segments;
+    }
+
+    function decode(matrix) {
+        const height = matrix ? matrix.length : 0;
+        const width = height > 0 && matrix[0] ? matrix[0].length : 0;
+
+        // Non-square matrices are rMQR
+        const rmqrEntry = width !== height ? RMQR_VERSIONS.find(entry => entry.height === height && entry.width === width) : null;
+        if (width !== height && !rmqrEntry) {
+            throw new Error(`Invalid matrix size: ${height}x${width}`);
+        }
+
+        const size = rmqrEntry ? null : height;
+        const micro = !rmqrEntry && size >= 11 && size <= 17 && size % 2 === 1;
+        const rmqr = Boolean(rmqrEntry);
+        let version;
+        if (rmqr) {
+            version = rmqrEntry.name;
+        } else {
+            version = micro ? `M${(size - 9) / 2}` : (size - 17) / 4;
+        }
+
+        if (!micro && !rmqr && (!Number.isInteger(version) || version < 1 || version > 40)) {
+            throw new Error(`Invalid matrix size: ${size}`);
+        }
+
+        const modules = [];
+        for (let i = 0; i < height; i++) {
+            if (!matrix[i] || matrix[i].length !== width) {
+                throw new Error(rmqr ? 'Matrix rows must have equal length' : 'Matrix must be square');
+            }
+            modules[i] = matrix[i].map(value => (value ? 1 : 0));
+        }
+
+        let formatInfo;
+        if (rmqr) {
+            formatInfo = readRMQRFormatInfo(modules);
+            if (formatInfo.version !== version) {
+                throw new Error('Format information does not match matrix size');
+            }
+        } else if (micro) {
+            formatInfo = readMicroFormatInfo(modules);
+            if (formatInfo.version !== version) {
+                throw new Error('Format information does not match matrix size');
+            }
+        } else {
+            formatInfo = readFormatInfo(modules, size);
+            if (version >= 7 && readVersionInfo(modules, size) !== version) {
+                throw new Error('Version information does not match matrix size');
+            }
+        }
+        const { eccLevel, maskPattern } = formatInfo;
+
+        const { reserved } = getSymbolTemplate(version);
+        const condition = MASK_PATTERNS[micro ? MICRO_MASKS[maskPattern] : maskPattern];
+        for (let i = 0; i < height; i++) {
+            for (let j = 0; j < width; j++) {
+                if (!reserved[i][j] && condition(i, j)) {
+                    modules[i][j] ^= 1;
+                }
+            }
+        }
+
+        const eccInfo = getEccInfo(version, eccLevel);
+        let bits;
+        if (rmqr) {
+            bits = readDataModules(modules, reserved, width - 2, -1);
+        } else {
+            bits = readDataModules(modules, reserved, size - 1, micro ? 0 : 6);
+        }
+        let codewords;
+        let dataBitCount;
+        if (micro) {
+            // The data bits may end in a 4-bit codeword before the ECC codewords
+            dataBitCount = eccInfo.dataBits;
+            codewords = bitsToCodewords(bits.slice(0, dataBitCount))
+                .concat(bitsToCodewords(bits.slice(dataBitCount, dataBitCount + eccInfo.eccPerBlock * 8)));
+        } else {
+            codewords = bitsToCodewords(bits.slice(0, eccInfo.total * 8));
+        }
+        const blocks = deinterleaveBlocks(codewords, version, eccLevel);
+
+        const dataCodewords = [];
+        const correctedErrors = [];
+        blocks.forEach((block, index) => {
+            const codewordsInBlock = block.data.concat(block.ecc);
+            const corrected = correctErrors(codewordsInBlock, block.ecc.length);
+            if (corrected === -1) {
+                throw new Error(`Too many errors to correct in block ${index + 1} of ${blocks.length}`);
+            }
+            correctedErrors.push(corrected);
+            dataCodewords.push(...codewordsInBlock.slice(0, block.dataWords));
+        });
+
+        const segments = parseSegments(dataCodewords, version, dataBitCount);
+        const eciSegment = segments.find(segment => segment.mode === 'ECI');
+        const appendSegment = segments.find(segment => segment.mode === 'STRUCTURED_APPEND');
+        const fnc1Segment = segments.find(segment => segment.mode === 'FNC1_FIRST' || segment.mode === 'FNC1_SECOND');
+        let fnc1 = null;
+        if (fnc1Segment) {
+            fnc1 = fnc1Segment.mode === 'FNC1_FIRST' ?
+                { position: 1 } : { position: 2, applicationIndicator: fnc1Segment.applicationIndicator };
+        }
+
+        return {
+            text: segments.filter(segment => segment.data !== undefined).map(segment => segment.data).join(''),
+            segments,
+            eci: eciSegment ? eciSegment.designator : null,
+            structuredAppend: appendSegment ?
+                { index: appendSegment.index, total: appendSegment.total, parity: appendSegment.parity } : null,
+            fnc1,
+            version,
+            size,
+            width,
+            height,
+            eccLevel,
+            maskPattern,
+            correctedErrors
+        };
+    }
+
+    // ============================================================
+    // VALIDATION
+    // ============================================================
+
+    const FINDER_NAMES = { '0,0': 'top-left', '0,1': 'top-right', '1,0': 'bottom-left' };
+
+    // Name the function pattern a module of a QR or Micro QR template
+    // belongs to, as [rule, pattern]. Alignment patterns are checked before
+    // timing because they are placed first where the two cross.
+    function classifyFunctionModule(version, size, row, col, alignmentCenters) {
+        const finderRow = row < 8 ? 0 : (row >= size - 8 ? 1 : -1);
+        const finderCol = col < 8 ? 0 : (col >= size - 8 ? 1 : -1);
+        const name = FINDER_NAMES[`${finderRow},${finderCol}`];
+        if (name && (name === 'top-left' || !isMicro(version))) {
+            const r = finderRow ? row - (size - 7) : row;
+            const c = finderCol ? col - (size - 7) : col;
+            const inFinder = r >= 0 && r < 7 && c >= 0 && c < 7;
+            return [inFinder ? 'finder' : 'separator', name];
+        }
+
+        if (isMicro(version)) {
+            return ['timing', row === 0 ? 'row 0' : 'column 0'];
+        }
+
+        const center = alignmentCenters.find(([r, c]) => Math.abs(row - r) <= 2 && Math.abs(col - c) <= 2);
+        if (center) return ['alignment', `(${center[0]}, ${center[1]})`];
+        if (row === 4 * version + 9 && col === 8) return ['dark-module', `(${row}, ${col})`];
+        return ['timing', row === 6 ? 'row 6' : 'column 6'];
+    }
+
+    // Alignment pattern centers that buildFunctionPatterns() places
+    function getAlignmentCenters(version, size) {
+        if (isMicro(version) || version < 2) return [];
+        const positions = ALIGNMENT_PATTERNS[version];
+        const centers = [];
+        for (const row of positions) {
+            for (const col of positions) {
+                if ((row < 9 && col < 9) || (row < 9 && col > size - 10) || (row > size - 10 && col < 9)) continue;
+                centers.push([row, col]);
+            }
+        }
+        return centers;
+    }
+
+    // Module of each format information bit, mirroring placeFormatInfo()
+    // and placeMicroFormatInfo()
+    function getFormatPositions(version, size) {
+        const first = [];
+        if (isMicro(version)) {
+            for (let i = 0; i < 8; i++) {
+                first[i] = [i + 1, 8];
+                first[14 - i] = [8, i + 1];
+            }
+            return [first];
+        }
+
+        const second = [];
+        for (let i = 0; i < 6; i++) {
+            first[14 - i] = [8, i];
+            first[i] = [i, 8];
+        }
+        first[8] = [8, 7];
+        first[7] = [8, 8];
+        first[6] = [7, 8];
+        for (let i = 0; i < 7; i++) second[i] = [size - 1 - i, 8];
+        for (let i = 0; i < 8; i++) second[7 + i] = [8, size - 8 + i];
+        return [first, second];
+    }
+
+    // Module of each version information bit, mirroring placeVersionInfo()
+    function getVersionPositions(size) {
+        const bottomLeft = [];
+        const topRight = [];
+        for (let i = 0; i < 6; i++) {
+            for (let j = 0; j < 3; j++) {
+                bottomLeft[i * 3 + j] = [size - 11 + j, i];
+                topRight[i * 3 + j] = [i, size - 11 + j];
+            }
+        }
+        return [bottomLeft, topRight];
+    }
+
+    function readBits(modules, positions) {
+        return positions.reduce((value, [row, col], i) => value | (modules[row][col] << i), 0);
+    }
+
+    // Penalty of every mask on the unmasked data, scored as generate() does:
+    // format and version information unset. Micro QR scores are higher-better.
+    function scoreMasks(modules, template, version, maskPattern) {
+        const micro = isMicro(version);
+        const { reserved, size } = template;
+        const scratch = modules.map((row, i) => Uint8Array.from(row, (value, j) =>
+            (reserved[i][j] && template.matrix[i][j] === UNSET ? UNSET : value)));
+        const masks = micro ? MICRO_MASKS : MASK_PATTERNS.map((_, i) => i);
+
+        applyMaskInPlace(scratch, reserved, masks[maskPattern]);
+        return masks.map(mask => {
+            applyMaskInPlace(scratch, reserved, mask);
+            const score = micro ? evaluateMicroMask(scratch, size) : evaluateMask(scratch, size);
+            applyMaskInPlace(scratch, reserved, mask);
+            return score;
+        });
+    }
+
+    // Check a matrix against the structure ISO/IEC 18004 requires of a QR or
+    // Micro QR symbol. Data is not decoded; every violation is reported with
+    // the modules involved rather than stopping at the first.
+    function validate(matrix) {
+        const violations = [];
+        const report = {
+            valid: false,
+            version: null,
+            size: null,
+            eccLevel: null,
+            maskPattern: null,
+            penalty: null,
+            violations
+        };
+        const fail = (rule, message, modules = [], extra = {}) => {
+            violations.push(Object.assign({ rule, severity: 'error', message, modules }, extra));
+        };
+
+        const size = Array.isArray(matrix) ? matrix.length : 0;
+        if (!size || !matrix.every(row => row && row.length === size)) {
+            fail('size', 'Matrix must be a non-empty square array of rows');
+            return report;
+        }
+
+        const micro = size >= 11 && size <= 17 && size % 2 === 1;
+        const version = micro ? `M${(size - 9) / 2}` : (size - 17) / 4;
+        if (!micro && (!Number.isInteger(version) || version < 1 || version > 40)) {
+            fail('size', `Size ${size} is not a QR or Micro QR symbol size`);
+            return report;
+        }
+        report.version = version;
+        report.size = size;
+
+        const modules = matrix.map(row => Array.from(row, value => (value ? 1 : 0)));
+        const template = getSymbolTemplate(version);
+
+        // Function patterns: finder, separator, timing, alignment, dark module
+        const alignmentCenters = getAlignmentCenters(version, size);
+        const wrong = new Map();
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const expected = template.matrix[row][col];
+                if (!template.reserved[row][col] || expected === UNSET || modules[row][col] === expected) continue;
+
+                const [rule, pattern] = classifyFunctionModule(version, size, row, col, alignmentCenters);
+                const key = `${rule} ${pattern}`;
+                if (!wrong.has(key)) wrong.set(key, { rule, pattern, modules: [] });
+                wrong.get(key).modules.push([row, col]);
+            }
+        }
+        for (const { rule, pattern, modules: cells } of wrong.values()) {
+            if (rule === 'dark-module') {
+                fail(rule, `Dark module at ${pattern} is light`, cells, { pattern });
+                continue;
+            }
+            const label = {
+                finder: `${pattern} finder pattern`,
+                separator: `${pattern} separator`,
+                timing: `Timing pattern in ${pattern}`,
+                alignment: `Alignment pattern at ${pattern}`
+            }[rule];
+            const plural = cells.length === 1 ? '' : 's';
+            fail(rule, `${label[0].toUpperCase()}${label.slice(1)} has ${cells.length} wrong module${plural}`,
+                cells, { pattern });
+        }
+
+        // Format information: each copy must be a BCH codeword
+        const formatTable = micro ? MICRO_FORMAT_INFO : FORMAT_INFO;
+        const copies = getFormatPositions(version, size).map((positions, copy) => {
+            const value = readBits(modules, positions);
+            const { index, distance } = nearestCodeword(formatTable, value);
+            if (distance > 0) {
+                const cells = positions.filter((_, i) => ((formatTable[index] ^ value) >> i) & 1);
+                fail('format', `Format information copy ${copy + 1} is not a valid codeword ` +
+                    `(${distance} bit${distance === 1 ? '' : 's'} from the nearest)`, cells, { copy: copy + 1 });
+            }
+            return { index, distance };
+        });
+
+        const [best] = copies.slice().sort((a, b) => a.distance - b.distance);
+        if (copies.length === 2 && copies.every(copy => copy.distance === 0) && copies[0].index !== copies[1].index) {
+            fail('format', 'Format information copies disagree');
+        }
+        const format = micro ? describeMicroFormat(best.index) : describeFormat(best.index);
+        if (micro && format.version !== version) {
+            fail('format', `Format information is for ${format.version}, but the matrix is ${version}`);
+        } else if (best.distance <= 3) {
+            report.eccLevel = format.eccLevel;
+            report.maskPattern = format.maskPattern;
+        }
+
+        // Version information: both blocks must encode the symbol's version
+        if (!micro && version >= 7) {
+            getVersionPositions(size).forEach((positions, block) => {
+                const value = readBits(modules, positions);
+                const expected = VERSION_INFO[version];
+                if (value === expected) return;
+
+                const cells = positions.filter((_, i) => ((expected ^ value) >> i) & 1);
+                const { index, distance } = nearestCodeword(VERSION_INFO, value, 7);
+                const plural = cells.length === 1 ? '' : 's';
+                const reads = distance === 0 ? `encodes version ${index}` : `has ${cells.length} wrong module${plural}`;
+                fail('version', `Version information ${block ? 'top-right' : 'bottom-left'} block ${reads}`, cells,
+                    { block: block ? 'top-right' : 'bottom-left' });
+            });
+        }
+
+        // Mask penalty: the chosen mask should score best of all masks
+        if (report.maskPattern !== null) {
+            const scores = scoreMasks(modules, template, version, report.maskPattern);
+            const target = micro ? Math.max(...scores) : Math.min(...scores);
+            report.penalty = {
+                score: scores[report.maskPattern],
+                scores,
+                bestMask: scores.indexOf(target)
+            };
+            if (scores[report.maskPattern] !== target) {
+                violations.push({
+                    rule: 'mask-penalty',
+                    severity: 'warning',
+                    message: `Mask ${report.maskPattern} scores ${scores[report.maskPattern]}; ` +
+                        `mask ${report.penalty.bestMask} scores ${target}`,
+                    modules: []
+                });
+            }
+        }
+
+        report.valid = violations.every(violation => violation.severity !== 'error');
+        return report;
+    }
+
+    // ============================================================
+    // SCANNING
+    // ============================================================
+
+    // Convert RGBA pixels to luminance, compositing transparency over white
+    function toLuminance(imageData) {
+        const { width, height, data } = imageData;
+        const luminance = new Uint8Array(width * height);
+
+        for (let i = 0; i < width * height; i++) {
+            const r = data[i * 4];
+            const g = data[i * 4 + 1];
+            const b = data[i * 4 + 2];
+            const a = data[i * 4 + 3];
+            const gray = (r * 299 + g * 587 + b * 114) / 1000;
+            luminance[i] = Math.round((gray * a + 255 * (255 - a)) / 255);
+        }
+
+        return luminance;
+    }
+
+    // Adaptive threshold over 8x8 blocks: each block is compared against the
+    // average black point of its 5x5 block neighbourhood. Low-contrast blocks
+    // inherit the black point of their neighbours so large dark areas stay dark.
+    function binarize(luminance, width, height) {
+        const blockSize = 8;
+        const minDynamicRange = 24;
+        const blocksX = Math.ceil(width / blockSize);
+        const blocksY = Math.ceil(height / blockSize);
+        const blackPoints = new Float64Array(blocksX * blocksY);
+
+        for (let by = 0; by < blocksY; by++) {
+            const yOffset = Math.max(0, Math.min(by * blockSize, height - blockSize));
+            for (let bx = 0; bx < blocksX; bx++) {
+                const xOffset = Math.max(0, Math.min(bx * blockSize, width - blockSize));
+                let sum = 0;
+                let min = 255;
+                let max = 0;
+                let count = 0;
+
+                for (let y = yOffset; y < Math.min(height, yOffset + blockSize); y++) {
+                    for (let x = xOffset; x < Math.min(width, xOffset + blockSize); x++) {
+                        const value = luminance[y * width + x];
+                        sum += value;
+                        if (value < min) min = value;
+                        if (value > max) max = value;
+                        count++;
+                    }
+                }
+
+                let average = sum / count;
+                if (max - min <= minDynamicRange) {
+                    average = min / 2;
+                    if (bx > 0 && by > 0) {
+                        const neighbours = (blackPoints[(by - 1) * blocksX + bx] +
+                            2 * blackPoints[by * blocksX + bx - 1] +
+                            blackPoints[(by - 1) * blocksX + bx - 1]) / 4;
+                        if (min < neighbours) average = neighbours;
+                    }
+                }
+                blackPoints[by * blocksX + bx] = average;
+            }
+        }
+
+        const bits = new Uint8Array(width * height);
+        for (let by = 0; by < blocksY; by++) {
+            for (let bx = 0; bx < blocksX; bx++) {
+                let sum = 0;
+                let count = 0;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        const nx = Math.max(0, Math.min(blocksX - 1, bx + dx));
+                        const ny = Math.max(0, Math.min(blocksY - 1, by + dy));
+                        sum += blackPoints[ny * blocksX + nx];
+                        count++;
+                    }
+                }
+                const threshold = sum / count;
+
+                for (let y = by * blockSize; y < Math.min(height, (by + 1) * blockSize); y++) {
+                    for (let x = bx * blockSize; x < Math.min(width, (bx + 1) * blockSize); x++) {
+                        bits[y * width + x] = luminance[y * width + x] <= threshold ? 1 : 0;
+                    }
+                }
+            }
+        }
+
+        return bits;
+    }
+
+    // Check a 1:1:3:1:1 run ratio, allowing 50% variance per module
+    function isFinderRatio(counts) {
+        const total = counts[0] + counts[1] + counts[2] + counts[3] + counts[4];
+        if (total < 7 || counts.some(count => count === 0)) return false;
+
+        const moduleSize = total / 7;
+        const variance = moduleSize / 2;
+        return Math.abs(moduleSize - counts[0]) < variance &&
+            Math.abs(moduleSize - counts[1]) < variance &&
+            Math.abs(3 * moduleSize - counts[2]) < 3 * variance &&
+            Math.abs(moduleSize - counts[3]) < variance &&
+            Math.abs(moduleSize - counts[4]) < variance;
+    }
+
+    // Walk outward from (x, y) along (dx, dy) and return the finder run counts
+    // centered on that point, or null if the runs do not match
+    function crossCheck(bitmap, x, y, dx, dy, maxCount) {
+        const { width, height, bits } = bitmap;
+        const counts = [0, 0, 0, 0, 0];
+        const isDark = (px, py) => px >= 0 && py >= 0 && px < width && py < height &&
+            bits[py * width + px] === 1;
+        const inside = (px, py) => px >= 0 && py >= 0 && px < width && py < height;
+
+        let px = x;
+        let py = y;
+        while (isDark(px, py)) { counts[2]++; px -= dx; py -= dy; }
+        while (inside(px, py) && !isDark(px, py) && counts[1] <= maxCount) { counts[1]++; px -= dx; py -= dy; }
+        if (!inside(px, py) || counts[1] > maxCount) return null;
+        while (isDark(px, py) && counts[0] <= maxCount) { counts[0]++; px -= dx; py -= dy; }
+        if (counts[0] > maxCount) return null;
+
+        px = x + dx;
+        py = y + dy;
+        while (isDark(px, py)) { counts[2]++; px += dx; py += dy; }
+        while (inside(px, py) && !isDark(px, py) && counts[3] <= maxCount) { counts[3]++; px += dx; py += dy; }
+        if (!inside(px, py) || counts[3] > maxCount) return null;
+        while (isDark(px, py) && counts[4] <= maxCount) { counts[4]++; px += dx; py += dy; }
+        if (counts[4] > maxCount) return null;
+
+        if (!isFinderRatio(counts)) return null;
+
+        const end = Math.abs(dx) ? px : py;
+        const direction = Math.abs(dx) ? dx : dy;
+        return {
+            center: end - direction * (counts[4] + counts[3] + counts[2] / 2),
+            total: counts.reduce((a, b) => a + b, 0)
+        };
+    }
+
+    function findFinderPatterns(bitmap) {
+        const { width, height, bits } = bitmap;
+        const candidates = [];
+        const skip = Math.max(1, Math.floor((3 * height) / (4 * 97)));
+
+        function addCandidate(counts, row, endCol) {
+            const total = counts.reduce((a, b) => a + b, 0);
+            const col = Math.floor(endCol - counts[4] - counts[3] - counts[2] / 2);
+
+            const vertical = crossCheck(bitmap, col, row, 0, 1, counts[2]);
+            if (!vertical || 5 * Math.abs(vertical.total - total) >= 2 * total) return;
+
+            const horizontal = crossCheck(bitmap, col, Math.floor(vertical.center), 1, 0, counts[2]);
+            if (!horizontal || 5 * Math.abs(horizontal.total - total) >= 2 * total) return;
+
+            const x = horizontal.center;
+            const y = vertical.center;
+            const moduleSize = (horizontal.total + vertical.total) / 14;
+
+            for (const candidate of candidates) {
+                if (Math.abs(candidate.x - x) <= moduleSize && Math.abs(candidate.y - y) <= moduleSize) {
+                    const sizeDiff = Math.abs(candidate.moduleSize - moduleSize);
+                    if (sizeDiff <= 1 || sizeDiff <= candidate.moduleSize) {
+                        const n = candidate.count;
+                        candidate.x = (candidate.x * n + x) / (n + 1);
+                        candidate.y = (candidate.y * n + y) / (n + 1);
+                        candidate.moduleSize = (candidate.moduleSize * n + moduleSize) / (n + 1);
+                        candidate.count++;
+                        return;
+                    }
+                }
+            }
+            candidates.push({ x, y, moduleSize, count: 1 });
+        }
+
+        for (let row = skip - 1; row < height; row += skip) {
+            let counts = [0, 0, 0, 0, 0];
+            let state = 0;
+
+            for (let col = 0; col < width; col++) {
+                if (bits[row * width + col]) {
+                    if (state & 1) state++;
+                    counts[state]++;
+                } else if (state & 1) {
+                    counts[state]++;
+                } else if (state === 4) {
+                    if (isFinderRatio(counts)) addCandidate(counts, row, col);
+                    counts = [counts[2], counts[3], counts[4], 1, 0];
+                    state = 3;
+                } else {
+                    counts[++state]++;
+                }
+            }
+
+            if (state === 4 && isFinderRatio(counts)) addCandidate(counts, row, width);
+        }
+
+        return candidates;
+    }
+
+    // Pick the three finder patterns that best form an isosceles right
+    // triangle and order them as top-left, top-right, bottom-left
+    function selectFinderPatterns(candidates) {
+        let pool = candidates.filter(c => c.count >= 2);
+        if (pool.length < 3) pool = candidates.slice();
+        pool.sort((a, b) => b.count - a.count);
+        pool = pool.slice(0, 10);
+
+        const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+        let best = null;
+        let bestScore = Infinity;
+
+        for (let i = 0; i < pool.length; i++) {
+            for (let j = i + 1; j < pool.length; j++) {
+                for (let k = j + 1; k < pool.length; k++) {
+                    const points = [pool[i], pool[j], pool[k]];
+                    const moduleSize = (points[0].moduleSize + points[1].moduleSize + points[2].moduleSize) / 3;
+                    const sides = [
+                        { length: distance(points[1], points[2]), corner: points[0], others: [points[1], points[2]] },
+                        { length: distance(points[0], points[2]), corner: points[1], others: [points[0], points[2]] },
+                        { length: distance(points[0], points[1]), corner: points[2], others: [points[0], points[1]] }
+                    ].sort((a, b) => a.length - b.length);
+
+                    const [a, b, c] = sides.map(side => side.length);
+                    if (a < 7 * moduleSize) continue;
+
+                    const sizeSpread = points.reduce((sum, p) => sum + Math.abs(p.moduleSize - moduleSize), 0) / moduleSize;
+                    const score = Math.abs(c * c - (a * a + b * b)) / (c * c) + Math.abs(a - b) / b + sizeSpread;
+                    if (score < bestScore) {
+                        bestScore = score;
+                        best = sides[2];
+                    }
+                }
+            }
+        }
+
+        if (!best || bestScore > 1) return null;
+
+        const topLeft = best.corner;
+        let [topRight, bottomLeft] = best.others;
+        const cross = (topRight.x - topLeft.x) * (bottomLeft.y - topLeft.y) -
+            (topRight.y - topLeft.y) * (bottomLeft.x - topLeft.x);
+        if (cross < 0) [topRight, bottomLeft] = [bottomLeft, topRight];
+
+        return { topLeft, topRight, bottomLeft };
+    }
+
+    // Distance from a finder center to the outer edge of its dark ring along
+    // the direction (dx, dy); 3.5 modules for an undistorted finder pattern
+    function finderRadius(bitmap, x, y, dx, dy) {
+        const { width, height, bits } = bitmap;
+        let state = 0;
+
+        for (let t = 0; t < Math.max(width, height); t += 0.5) {
+            const px = Math.floor(x + dx * t);
+            const py = Math.floor(y + dy * t);
+            if (px < 0 || py < 0 || px >= width || py >= height) return NaN;
+
+            const dark = bits[py * width + px] === 1;
+            if (state === 0 && !dark) state = 1;
+            else if (state === 1 && dark) state = 2;
+            else if (state === 2 && !dark) return t;
+        }
+
+        return NaN;
+    }
+
+    // Estimate the module size along the line joining two finder patterns,
+    // which stays accurate when the symbol is rotated
+    function measureModuleSize(bitmap, a, b) {
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        const dx = (b.x - a.x) / length;
+        const dy = (b.y - a.y) / length;
+
+        const sizeA = (finderRadius(bitmap, a.x, a.y, dx, dy) + finderRadius(bitmap, a.x, a.y, -dx, -dy)) / 7;
+        const sizeB = (finderRadius(bitmap, b.x, b.y, dx, dy) + finderRadius(bitmap, b.x, b.y, -dx, -dy)) / 7;
+        return (sizeA + sizeB) / 2;
+    }
+
+    // Search up to allowance modules around the expected position for the
+    // dark-light-dark rings of an alignment pattern, sampling along the
+    // symbol's module axes
+    function findAlignmentPattern(bitmap, u, v, moduleSize, estimate, allowance = 4) {
+        const { width, height, bits } = bitmap;
+        const sample = (x, y) => {
+            const px = Math.floor(x);
+            const py = Math.floor(y);
+            if (px < 0 || py < 0 || px >= width || py >= height) return -1;
+            return bits[py * width + px];
+        };
+
+        const radius = allowance * moduleSize;
+        const step = Math.max(1, moduleSize / 4);
+        let bestScore = 0;
+        let matches = [];
+
+        for (let dy = -radius; dy <= radius; dy += step) {
+            for (let dx = -radius; dx <= radius; dx += step) {
+                const cx = estimate.x + dx;
+                const cy = estimate.y + dy;
+                let score = 0;
+
+                for (let r = -2; r <= 2; r++) {
+                    for (let c = -2; c <= 2; c++) {
+                        const expected = Math.max(Math.abs(r), Math.abs(c)) === 1 ? 0 : 1;
+                        if (sample(cx + c * u.x + r * v.x, cy + c * u.y + r * v.y) === expected) score++;
+                    }
+                }
+
+                if (score > bestScore) {
+                    bestScore = score;
+                    matches = [{ x: cx, y: cy }];
+                } else if (score === bestScore) {
+                    matches.push({ x: cx, y: cy });
+                }
+            }
+        }
+
+        if (bestScore < 22) return null;
+
+        // score counts the 25 modules that match
+        return {
+            x: matches.reduce((sum, p) => sum + p.x, 0) / matches.length,
+            y: matches.reduce((sum, p) => sum + p.y, 0) / matches.length,
+            score: bestScore
+        };
+    }
+
+    // Centre and scale points to a mean distance of sqrt(2) from the origin
+    function getNormalization(points) {
+        const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+        const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+        const distance = points.reduce((sum, p) => sum + Math.hypot(p.x - cx, p.y - cy), 0) / points.length;
+        return { cx, cy, scale: distance / Math.SQRT2 || 1 };
+    }
+
+    // Solve the 8 homography coefficients mapping module space to pixels:
+    // exactly from four point pairs, or by least squares from more. Both
+    // sides are normalized first so the normal equations stay well conditioned.
+    function perspectiveTransform(from, to) {
+        const source = getNormalization(from);
+        const target = getNormalization(to);
+        const equations = [];
+        for (let i = 0; i < from.length; i++) {
+            const u = (from[i].x - source.cx) / source.scale;
+            const v = (from[i].y - source.cy) / source.scale;
+            const x = (to[i].x - target.cx) / target.scale;
+            const y = (to[i].y - target.cy) / target.scale;
+            equations.push([u, v, 1, 0, 0, 0, -u * x, -v * x, x]);
+            equations.push([0, 0, 0, u, v, 1, -u * y, -v * y, y]);
+        }
+
+        const rows = [];
+        for (let i = 0; i < 8; i++) {
+            rows.push([]);
+            for (let j = 0; j < 9; j++) {
+                rows[i].push(equations.reduce((sum, equation) => sum + equation[i] * equation[j], 0));
+            }
+        }
+
+        for (let col = 0; col < 8; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < 8; row++) {
+                if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+            }
+            if (Math.abs(rows[pivot][col]) < 1e-12) return null;
+            [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+            for (let row = 0; row < 8; row++) {
+                if (row === col) continue;
+                const factor = rows[row][col] / rows[col][col];
+                for (let k = col; k < 9; k++) {
+                    rows[row][k] -= factor * rows[col][k];
+                }
+            }
+        }
+
+        const h = rows.map((row, i) => row[8] / row[i]);
+        return (u, v) => {
+            u = (u - source.cx) / source.scale;
+            v = (v - source.cy) / source.scale;
+            const denominator = h[6] * u + h[7] * v + 1;
+            return {
+                x: (h[0] * u + h[1] * v + h[2]) / denominator * target.scale + target.cx,
+                y: (h[3] * u + h[4] * v + h[5]) / denominator * target.scale + target.cy
+            };
+        };
+    }
+
+    // Map module space to pixels from the three finder patterns and every
+    // alignment pattern ALIGNMENT_PATTERNS places that can be found. The
+    // first guess completes the parallelogram the finders span; each pattern
+    // is then searched for where the current fit predicts it, nearest the
+    // finders first, and the fit is redone with it, so the predictions
+    // follow skew and perspective across large symbols. Returns the
+    // transform and the bottom-right alignment pattern, or null.
+    function fitSymbol(bitmap, finders, dimension, moduleSize) {
+        const { topLeft, topRight, bottomLeft } = finders;
+        const from = [
+            { x: 3.5, y: 3.5 },
+            { x: dimension - 3.5, y: 3.5 },
+            { x: 3.5, y: dimension - 3.5 }
+        ];
+        const to = [topLeft, topRight, bottomLeft];
+        const corner = {
+            x: topRight.x + bottomLeft.x - topLeft.x,
+            y: topRight.y + bottomLeft.y - topLeft.y
+        };
+        let transform = perspectiveTransform([...from, { x: dimension - 3.5, y: dimension - 3.5 }], [...to, corner]);
+        if (!transform) return { transform: null, alignment: null };
+
+        const version = (dimension - 17) / 4;
+        const distance = ([row, col]) => Math.min(...from.map(p => Math.hypot(col + 0.5 - p.x, row + 0.5 - p.y)));
+        const centers = getAlignmentCenters(version, dimension).sort((a, b) => distance(a) - distance(b));
+        const last = dimension - 7;
+        let alignment = null;
+
+        for (const [row, col] of centers) {
+            const center = transform(col + 0.5, row + 0.5);
+            const right = transform(col + 1.5, row + 0.5);
+            const down = transform(col + 0.5, row + 1.5);
+            const u = { x: right.x - center.x, y: right.y - center.y };
+            const v = { x: down.x - center.x, y: down.y - center.y };
+
+            // Until one pattern anchors the fit, perspective can move the
+            // first far from the guess, so the search widens until it finds
+            // an exact match
+            let found = null;
+            for (const allowance of to.length > 3 ? [4] : [4, 8, 16]) {
+                const candidate = findAlignmentPattern(bitmap, u, v, moduleSize, center, allowance);
+                if (candidate && (!found || candidate.score > found.score)) found = candidate;
+                if (found && found.score === 25) break;
+            }
+            if (!found) continue;
+
+            from.push({ x: col + 0.5, y: row + 0.5 });
+            to.push(found);
+            transform = perspectiveTransform(from, to) || transform;
+            if (row === last && col === last) alignment = { x: found.x, y: found.y };
+        }
+
+        return { transform, alignment };
+    }
+
+    function sampleGrid(bitmap, transform, dimension) {
+        const { width, height, bits } = bitmap;
+        const matrix = [];
+
+        for (let row = 0; row < dimension; row++) {
+            matrix[row] = new Array(dimension);
+            for (let col = 0; col < dimension; col++) {
+                const point = transform(col + 0.5, row + 0.5);
+                const x = Math.floor(point.x);
+                const y = Math.floor(point.y);
+                if (x < 0 || y < 0 || x >= width || y >= height) return null;
+                matrix[row][col] = bits[y * width + x];
+            }
+        }
+
+        return matrix;
+    }
+
+    function locateAndDecode(bitmap) {
+        const patterns = selectFinderPatterns(findFinderPatterns(bitmap));
+        if (!patterns) return null;
+
+        const { topLeft, topRight, bottomLeft } = patterns;
+        const moduleSize = (measureModuleSize(bitmap, topLeft, topRight) +
+            measureModuleSize(bitmap, topLeft, bottomLeft)) / 2;
+        if (!(moduleSize > 0)) return null;
+        const modulesAcross = (Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y) +
+            Math.hypot(bottomLeft.x - topLeft.x, bottomLeft.y - topLeft.y)) / (2 * moduleSize);
+
+        let estimate = Math.round(modulesAcross) + 7;
+        estimate += [1, 0, -1, 2][estimate & 3];
+        const dimensions = [estimate, estimate - 4, estimate + 4].filter(d => d >= 21 && d <= 177);
+
+        let lastError = null;
+        for (const dimension of dimensions) {
+            const { transform, alignment } = fitSymbol(bitmap, patterns, dimension, moduleSize);
+            const matrix = transform && sampleGrid(bitmap, transform, dimension);
+            if (!matrix) continue;
+
+            try {
+                const result = decode(matrix);
+                result.location = {
+                    topLeft: { x: topLeft.x, y: topLeft.y },
+                    topRight: { x: topRight.x, y: topRight.y },
+                    bottomLeft: { x: bottomLeft.x, y: bottomLeft.y },
+                    alignment,
+                    corners: [transform(0, 0), transform(dimension, 0), transform(dimension, dimension), transform(0, dimension)]
+                };
+                return result;
+            } catch (e) {
+                lastError = e;
+            }
+        }
+
+        if (lastError) throw lastError;
+        return null;
+    }
+
+    function scan(imageData) {
+        const { width, height, data } = imageData || {};
+        if (!width || !height || !data || data.length < width * height * 4) {
+            throw new Error('Expected RGBA image data with width, height and data');
+        }
+
+        // Light-on-dark symbols are retried on inverted luminance, since the
+        // binarizer assumes uniform areas belong to a light background
+        const luminance = toLuminance(imageData);
+        const invertedLuminance = luminance.map(value => 255 - value);
+
+        let lastError = null;
+        for (const [candidate, isInverted] of [[luminance, false], [invertedLuminance, true]]) {
+            try {
+                const bits = binarize(candidate, width, height);
+                const result = locateAndDecode({ width, height, bits });
+                if (result) {
+                    result.inverted = isInverted;
+                    return result;
+                }
+            } catch (e) {
+                lastError = e;
+            }
+        }
+
+        throw lastError || new Error('No QR code found in image');
+    }
+
+    // ============================================================
+    // RENDERING
+    // ============================================================
+
+    // Micro QR and rMQR need only a 2-module quiet zone
+    function getQuietZone(version) {
+        return isMicro(version) || isRMQR(version) ? 2 : 4;
+    }
+
+    // Quiet zone for the output functions: options.margin or the default
+    function getMargin(qrData, options) {
+        const margin = options.margin !== undefined ? options.margin : getQuietZone(qrData.version);
+        if (!Number.isInteger(margin) || margin < 0) {
+            throw new Error('Margin must be a non-negative number of modules');
+        }
+        return margin;
+    }
+
+    // options takes the styling options of toSVG(); without them the symbol is
+    // painted as black squares on white
+    function render(canvas, qrData, moduleSize = 8, options = {}) {
+        if (isStyled(options) || options.foreground || options.background !== undefined || options.margin !== undefined) {
+            renderStyled(canvas, qrData, moduleSize, options);
+            return;
+        }
+
+        const { matrix } = qrData;
+        const height = matrix.length;
+        const width = matrix[0].length;
+        const quietZone = getQuietZone(qrData.version);
+
+        canvas.width = (width + quietZone * 2) * moduleSize;
+        canvas.height = (height + quietZone * 2) * moduleSize;
+
+        const ctx = canvas.getContext('2d');
+
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        ctx.fillStyle = '#000000';
+        for (let i = 0; i < height; i++) {
+            for (let j = 0; j < width; j++) {
+                if (matrix[i][j] === 1) {
+                    ctx.fillRect(
+                        (j + quietZone) * moduleSize,
+                        (i + quietZone) * moduleSize,
+                        moduleSize,
+                        moduleSize
+                    );
+                }
+            }
+        }
+
+        drawLogoImage(ctx, qrData.logo, quietZone, moduleSize);
+    }
+
+    // Logo images must already be loaded (an image, bitmap or canvas); URLs
+    // are only supported by toSVG()
+    function drawLogoImage(ctx, logo, quietZone, moduleSize) {
+        if (!logo || !logo.image || typeof logo.image === 'string') return;
+        ctx.drawImage(
+            logo.image,
+            (logo.x + quietZone) * moduleSize,
+            (logo.y + quietZone) * moduleSize,
+            logo.width * moduleSize,
+            logo.height * moduleSize
+        );
+    }
+
+    // ============================================================
+    // SVG OUTPUT
+    // ============================================================
+
+    function escapeXML(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+        })[char]);
+    }
+
+    // Cover the dark modules with rectangles: horizontal runs, extended down
+    // while the rows below have a run with the same start and end
+    function getDarkRectangles(matrix) {
+        const rectangles = [];
+        let open = new Map();
+
+        for (let y = 0; y <= matrix.length; y++) {
+            const row = matrix[y] || [];
+            const next = new Map();
+            for (let x = 0; x < row.length; x++) {
+                if (row[x] !== 1) continue;
+                const start = x;
+                while (x < row.length && row[x] === 1) x++;
+                const key = `${start},${x}`;
+                const rectangle = open.get(key) || { x: start, y, width: x - start, height: 0 };
+                rectangle.height++;
+                open.delete(key);
+                next.set(key, rectangle);
+            }
+            rectangles.push(...open.values());
+            open = next;
+        }
+
+        return rectangles.sort((a, b) => a.y - b.y || a.x - b.x);
+    }
+
+    // Returns an SVG document for a generate() result. Coordinates are in
+    // modules, so the image scales cleanly to any size. The styling options
+    // (shape, eyes, gradient) are described at buildStyledLayers().
+    function toSVG(qrData, options = {}) {
+        const { matrix } = qrData;
+        const quietZone = getMargin(qrData, options);
+        const moduleSize = options.moduleSize !== undefined ? options.moduleSize : 8;
+        const foreground = options.foreground || '#000000';
+        const background = options.background === undefined ? '#FFFFFF' : options.background;
+        if (typeof moduleSize !== 'number' || !(moduleSize > 0)) {
+            throw new Error('Module size must be a positive number');
+        }
+        reportStyleWarnings(options);
+
+        const width = matrix[0].length + quietZone * 2;
+        const height = matrix.length + quietZone * 2;
+        const styled = isStyled(options);
+
+        const attributes = [
+            'xmlns="http://www.w3.org/2000/svg"',
+            `viewBox="0 0 ${width} ${height}"`
+        ];
+        if (options.dpi && !options.viewBoxOnly) {
+            // Printer dots per module at this DPI, written in millimetres
+            const moduleMm = moduleSize * MM_PER_INCH / options.dpi;
+            attributes.push(`width="${formatNumber(width * moduleMm)}mm"`, `height="${formatNumber(height * moduleMm)}mm"`);
+        } else if (!options.viewBoxOnly) {
+            attributes.push(`width="${width * moduleSize}"`, `height="${height * moduleSize}"`);
+        }
+        // Anti-aliasing would leave seams between squares, but curves need it
+        attributes.push(`shape-rendering="${styled ? 'geometricPrecision' : 'crispEdges'}"`);
+        if (options.title) {
+            attributes.push('role="img"');
+        }
+
+        const parts = [`<svg ${attributes.join(' ')}>`];
+        if (options.title) {
+            parts.push(`<title>${escapeXML(options.title)}</title>`);
+        }
+        if (background && background !== 'transparent') {
+            parts.push(`<rect width="${width}" height="${height}" fill="${escapeXML(background)}"/>`);
+        }
+
+        if (styled) {
+            const { layers, gradient } = buildStyledLayers(qrData, options);
+            let gradientId = null;
+            if (gradient) {
+                gradientId = `qr-gradient-${crc32(encodeText(JSON.stringify(gradient))).toString(16)}`;
+                const stops = gradient.colors.map((color, i) =>
+                    `<stop offset="${formatNumber(i / (gradient.colors.length - 1))}" stop-color="${escapeXML(color)}"/>`
+                ).join('');
+                const geometry = Object.entries(gradient.geometry)
+                    .map(([name, value]) => `${name}="${formatNumber(value)}"`).join(' ');
+                const element = gradient.type === 'radial' ? 'radialGradient' : 'linearGradient';
+                parts.push(`<defs><${element} id="${gradientId}" gradientUnits="userSpaceOnUse" ${geometry}>${stops}</${element}></defs>`);
+            }
+            for (const layer of layers) {
+                if (layer.shapes.length === 0) continue;
+                const fill = layer.fill === null ? `url(#${gradientId})` : escapeXML(layer.fill);
+                const path = layer.shapes.map(shapeToSVGPath).join('');
+                parts.push(`<path fill="${fill}" fill-rule="evenodd" d="${path}"/>`);
+            }
+        } else {
+            const path = getDarkRectangles(matrix).map(rect =>
+                `M${rect.x + quietZone} ${rect.y + quietZone}h${rect.width}v${rect.height}h-${rect.width}z`
+            ).join('');
+            parts.push(`<path fill="${escapeXML(foreground)}" d="${path}"/>`);
+        }
+
+        const logo = qrData.logo;
+        if (logo && typeof logo.image === 'string') {
+            parts.push(`<image href="${escapeXML(logo.image)}" x="${logo.x + quietZone}" y="${logo.y + quietZone}" ` +
+                `width="${logo.width}" height="${logo.height}" preserveAspectRatio="xMidYMid meet"/>`);
+        }
+        parts.push('</svg>');
+
+        return parts.join('');
+    }
+
+    // ============================================================
+    // STYLED RENDERING
+    // ============================================================
+
+    const MODULE_SHAPES = ['square', 'rounded', 'dots', 'connected'];
+    const EYE_SHAPES = ['square', 'rounded', 'circle'];
+
+    // Below this WCAG contrast ratio many phone cameras fail to binarize
+    const MIN_CONTRAST_RATIO = 4;
+
+    function isStyled(options) {
+        return Boolean((options.shape && options.shape !== 'square') || options.eyes || options.gradient);
+    }
+
+    function formatNumber(value) {
+        return String(Math.round(value * 1000) / 1000);
+    }
+
+    // CSS named colors as 0xRRGGBB
+    const CSS_COLORS = {
+        aliceblue: 0xF0F8FF, antiquewhite: 0xFAEBD7, aqua: 0x00FFFF, aquamarine: 0x7FFFD4, azure: 0xF0FFFF,
+        beige: 0xF5F5DC, bisque: 0xFFE4C4, black: 0x000000, blanchedalmond: 0xFFEBCD, blue: 0x0000FF,
+        blueviolet: 0x8A2BE2, brown: 0xA52A2A, burlywood: 0xDEB887, cadetblue: 0x5F9EA0,
+        chartreuse: 0x7FFF00, chocolate: 0xD2691E, coral: 0xFF7F50, cornflowerblue: 0x6495ED,
+        cornsilk: 0xFFF8DC, crimson: 0xDC143C, cyan: 0x00FFFF, darkblue: 0x00008B, darkcyan: 0x008B8B,
+        darkgoldenrod: 0xB8860B, darkgray: 0xA9A9A9, darkgreen: 0x006400, darkgrey: 0xA9A9A9,
+        darkkhaki: 0xBDB76B, darkmagenta: 0x8B008B, darkolivegreen: 0x556B2F, darkorange: 0xFF8C00,
+        darkorchid: 0x9932CC, darkred: 0x8B0000, darksalmon: 0xE9967A, darkseagreen: 0x8FBC8F,
+        darkslateblue: 0x483D8B, darkslategray: 0x2F4F4F, darkslategrey: 0x2F4F4F, darkturquoise: 0x00CED1,
+        darkviolet: 0x9400D3, deeppink: 0xFF1493, deepskyblue: 0x00BFFF, dimgray: 0x696969,
+        dimgrey: 0x696969, dodgerblue: 0x1E90FF, firebrick: 0xB22222, floralwhite: 0xFFFAF0,
+        forestgreen: 0x228B22, fuchsia: 0xFF00FF, gainsboro: 0xDCDCDC, ghostwhite: 0xF8F8FF, gold: 0xFFD700,
+        goldenrod: 0xDAA520, gray: 0x808080, green: 0x008000, greenyellow: 0xADFF2F, grey: 0x808080,
+        honeydew: 0xF0FFF0, hotpink: 0xFF69B4, indianred: 0xCD5C5C, indigo: 0x4B0082, ivory: 0xFFFFF0,
+        khaki: 0xF0E68C, lavender: 0xE6E6FA, lavenderblush: 0xFFF0F5, lawngreen: 0x7CFC00,
+        lemonchiffon: 0xFFFACD, lightblue: 0xADD8E6, lightcoral: 0xF08080, lightcyan: 0xE0FFFF,
+        lightgoldenrodyellow: 0xFAFAD2, lightgray: 0xD3D3D3, lightgreen: 0x90EE90, lightgrey: 0xD3D3D3,
+        lightpink: 0xFFB6C1, lightsalmon: 0xFFA07A, lightseagreen: 0x20B2AA, lightskyblue: 0x87CEFA,
+        lightslategray: 0x778899, lightslategrey: 0x778899, lightsteelblue: 0xB0C4DE, lightyellow: 0xFFFFE0,
+        lime: 0x00FF00, limegreen: 0x32CD32, linen: 0xFAF0E6, magenta: 0xFF00FF, maroon: 0x800000,
+        mediumaquamarine: 0x66CDAA, mediumblue: 0x0000CD, mediumorchid: 0xBA55D3, mediumpurple: 0x9370DB,
+        mediumseagreen: 0x3CB371, mediumslateblue: 0x7B68EE, mediumspringgreen: 0x00FA9A,
+        mediumturquoise: 0x48D1CC, mediumvioletred: 0xC71585, midnightblue: 0x191970, mintcream: 0xF5FFFA,
+        mistyrose: 0xFFE4E1, moccasin: 0xFFE4B5, navajowhite: 0xFFDEAD, navy: 0x000080, oldlace: 0xFDF5E6,
+        olive: 0x808000, olivedrab: 0x6B8E23, orange: 0xFFA500, orangered: 0xFF4500, orchid: 0xDA70D6,
+        palegoldenrod: 0xEEE8AA, palegreen: 0x98FB98, paleturquoise: 0xAFEEEE, palevioletred: 0xDB7093,
+        papayawhip: 0xFFEFD5, peachpuff: 0xFFDAB9, peru: 0xCD853F, pink: 0xFFC0CB, plum: 0xDDA0DD,
+        powderblue: 0xB0E0E6, purple: 0x800080, rebeccapurple: 0x663399, red: 0xFF0000, rosybrown: 0xBC8F8F,
+        royalblue: 0x4169E1, saddlebrown: 0x8B4513, salmon: 0xFA8072, sandybrown: 0xF4A460,
+        seagreen: 0x2E8B57, seashell: 0xFFF5EE, sienna: 0xA0522D, silver: 0xC0C0C0, skyblue: 0x87CEEB,
+        slateblue: 0x6A5ACD, slategray: 0x708090, slategrey: 0x708090, snow: 0xFFFAFA, springgreen: 0x00FF7F,
+        steelblue: 0x4682B4, tan: 0xD2B48C, teal: 0x008080, thistle: 0xD8BFD8, tomato: 0xFF6347,
+        turquoise: 0x40E0D0, violet: 0xEE82EE, wheat: 0xF5DEB3, white: 0xFFFFFF, whitesmoke: 0xF5F5F5,
+        yellow: 0xFFFF00, yellowgreen: 0x9ACD32
+    };
+
+    // h in degrees, s and l in percent
+    function hslToRgb(h, s, l) {
+        s /= 100;
+        l /= 100;
+        const a = s * Math.min(l, 1 - l);
+        return [0, 8, 4].map(n => {
+            const k = (n + h / 30) % 12;
+            return Math.round(255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+        });
+    }
+
+    // '#rgb', '#rrggbb', '#rrggbbaa', 'rgb()'/'rgba()', 'hsl()'/'hsla()' or a
+    // CSS color name, as [r, g, b, alpha]; null for anything else
+    function parseColor(color) {
+        if (typeof color !== 'string') return null;
+        const value = color.trim().toLowerCase();
+        if (value === 'transparent') return [0, 0, 0, 0];
+        if (Object.prototype.hasOwnProperty.call(CSS_COLORS, value)) {
+            const rgb = CSS_COLORS[value];
+            return [rgb >> 16, (rgb >> 8) & 0xFF, rgb & 0xFF, 1];
+        }
+
+        let match = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+        if (match) {
+            let hex = match[1];
+            if (hex.length === 3) hex = hex.split('').map(digit => digit + digit).join('');
+            const alpha = hex.length === 8 ? parseInt(hex.slice(6), 16) / 255 : 1;
+            return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16)).concat(alpha);
+        }
+
+        match = value.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+        if (match) {
+            return [+match[1], +match[2], +match[3], match[4] === undefined ? 1 : +match[4]];
+        }
+
+        match = value.match(/^hsla?\(\s*(-?[\d.]+)(?:deg)?\s*,\s*([\d.]+)%\s*,\s*([\d.]+)%\s*(?:,\s*([\d.]+)\s*)?\)$/);
+        if (match) {
+            const hue = ((+match[1] % 360) + 360) % 360;
+            const rgb = hslToRgb(hue, Math.min(+match[2], 100), Math.min(+match[3], 100));
+            return rgb.concat(match[4] === undefined ? 1 : +match[4]);
+        }
+        return null;
+    }
+
+    // WCAG 2 relative luminance
+    function getLuminance([r, g, b]) {
+        const channel = value => {
+            const c = value / 255;
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        };
+        return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+    }
+
+    // Returns warnings for colors that are likely to hurt scanning: low
+    // contrast against the background, or light modules on a dark background
+    function checkStyle(options = {}) {
+        const warnings = [];
+        const background = options.background === undefined ? '#FFFFFF' : options.background;
+        const colors = options.gradient ? options.gradient.colors.slice() : [options.foreground || '#000000'];
+        if (options.eyes) {
+            if (options.eyes.outerColor) colors.push(options.eyes.outerColor);
+            if (options.eyes.innerColor) colors.push(options.eyes.innerColor);
+        }
+
+        // Nothing to compare against when the page shows through
+        if (!background || background === 'transparent') return warnings;
+        const light = parseColor(background);
+        if (!light) {
+            warnings.push(`Contrast against background ${background} could not be checked`);
+            return warnings;
+        }
+
+        let inverted = false;
+        for (const color of colors) {
+            const dark = parseColor(color);
+            if (!dark) {
+                warnings.push(`Contrast of ${color} could not be checked`);
+                continue;
+            }
+            if (dark[3] < 1) {
+                warnings.push(`Translucent color ${color} lowers contrast`);
+            }
+
+            const darkLuminance = getLuminance(dark);
+            const lightLuminance = getLuminance(light);
+            const ratio = (Math.max(darkLuminance, lightLuminance) + 0.05) / (Math.min(darkLuminance, lightLuminance) + 0.05);
+            if (ratio < MIN_CONTRAST_RATIO) {
+                warnings.push(`Contrast ratio ${ratio.toFixed(2)}:1 between ${color} and ${background} is below ${MIN_CONTRAST_RATIO}:1`);
+            }
+            if (darkLuminance > lightLuminance) inverted = true;
+        }
+        if (inverted) {
+            warnings.push('Modules are lighter than the background; many scanners do not read inverted codes');
+        }
+
+        return warnings;
+    }
+
+    // options.onWarning, or console.warn: the library's only console output
+    function getWarningSink(options) {
+        return options.onWarning || (message => console.warn(`QRCode: ${message}`));
+    }
+
+    function reportStyleWarnings(options) {
+        const report = getWarningSink(options);
+        checkStyle(options).forEach(message => report(message));
+    }
+
+    // Top-left corners of the 7x7 finder patterns
+    function getFinderOrigins(version, height, width) {
+        if (isMicro(version) || isRMQR(version)) return [[0, 0]];
+        return [[0, 0], [0, width - 7], [height - 7, 0]];
+    }
+
+    function getEyeShapes(shape, x, y, part) {
+        if (!EYE_SHAPES.includes(shape)) {
+            throw new Error(`Unknown eye shape: ${shape} (expected ${EYE_SHAPES.join(', ')})`);
+        }
+        const cx = x + 3.5;
+        const cy = y + 3.5;
+
+        if (part === 'outer') {
+            if (shape === 'circle') {
+                return [{ type: 'circle', cx, cy, r: 3.5 }, { type: 'circle', cx, cy, r: 2.5 }];
+            }
+            const rounded = shape === 'rounded';
+            return [
+                { type: 'rect', x, y, width: 7, height: 7, r: rounded ? 2 : 0 },
+                { type: 'rect', x: x + 1, y: y + 1, width: 5, height: 5, r: rounded ? 1.5 : 0 }
+            ];
+        }
+
+        if (shape === 'circle') {
+            return [{ type: 'circle', cx, cy, r: 1.5 }];
+        }
+        return [{ type: 'rect', x: x + 2, y: y + 2, width: 3, height: 3, r: shape === 'rounded' ? 1 : 0 }];
+    }
+
+    // Geometry for styled output, in modules with the quiet zone applied:
+    //   shape    - 'square', 'rounded', 'dots' or 'connected' (rounded
+    //              horizontal runs) for data modules
+    //   eyes     - { outerShape, innerShape, outerColor, innerColor } for the
+    //              finder patterns; shapes are 'square', 'rounded' or 'circle'
+    //   gradient - { type: 'linear' | 'radial', colors, angle } fill for the
+    //              modules, across the symbol; angle 0 runs left to right
+    // Other function patterns (timing, alignment, format information) are
+    // always drawn as squares so scanners can still find them.
+    // Each layer is { fill, shapes }, where a null fill means the gradient.
+    function buildStyledLayers(qrData, options = {}) {
+        const { matrix, version } = qrData;
+        const quietZone = getMargin(qrData, options);
+        const shape = options.shape || 'square';
+        const eyes = options.eyes || {};
+        const foreground = options.gradient ? null : (options.foreground || '#000000');
+
+        if (!MODULE_SHAPES.includes(shape)) {
+            throw new Error(`Unknown module shape: ${shape} (expected ${MODULE_SHAPES.join(', ')})`);
+        }
+
+        const height = matrix.length;
+        const width = matrix[0].length;
+        const { reserved } = getSymbolTemplate(version);
+        const finders = getFinderOrigins(version, height, width);
+        const inFinder = (i, j) => finders.some(([row, col]) => i >= row && i < row + 7 && j >= col && j < col + 7);
+
+        // Function modules become merged squares; data modules take the shape
+        const functionMatrix = matrix.map((row, i) => row.map((value, j) =>
+            (value === 1 && reserved[i][j] && !inFinder(i, j) ? 1 : 0)));
+        const dataMatrix = matrix.map((row, i) => row.map((value, j) =>
+            (value === 1 && !reserved[i][j] ? 1 : 0)));
+
+        const shapes = [];
+        const addRectangles = source => {
+            for (const rect of getDarkRectangles(source)) {
+                shapes.push({ type: 'rect', x: rect.x + quietZone, y: rect.y + quietZone, width: rect.width, height: rect.height, r: 0 });
+            }
+        };
+
+        addRectangles(functionMatrix);
+        if (shape === 'square') {
+            addRectangles(dataMatrix);
+        } else if (shape === 'connected') {
+            for (let i = 0; i < height; i++) {
+                for (let j = 0; j < width; j++) {
+                    if (!dataMatrix[i][j]) continue;
+                    const start = j;
+                    while (j < width && dataMatrix[i][j]) j++;
+                    shapes.push({ type: 'rect', x: start + quietZone, y: i + quietZone, width: j - start, height: 1, r: 0.5 });
+                }
+            }
+        } else {
+            for (let i = 0; i < height; i++) {
+                for (let j = 0; j < width; j++) {
+                    if (!dataMatrix[i][j]) continue;
+                    const x = j + quietZone;
+                    const y = i + quietZone;
+                    shapes.push(shape === 'dots' ?
+                        { type: 'circle', cx: x + 0.5, cy: y + 0.5, r: 0.45 } :
+                        { type: 'rect', x, y, width: 1, height: 1, r: 0.3 });
+                }
+            }
+        }
+
+        const outerShapes = [];
+        const innerShapes = [];
+        for (const [row, col] of finders) {
+            outerShapes.push(...getEyeShapes(eyes.outerShape || 'square', col + quietZone, row + quietZone, 'outer'));
+            innerShapes.push(...getEyeShapes(eyes.innerShape || 'square', col + quietZone, row + quietZone, 'inner'));
+        }
+
+        let gradient = null;
+        if (options.gradient) {
+            const { type = 'linear', colors, angle = 0 } = options.gradient;
+            if (!Array.isArray(colors) || colors.length < 2) {
+                throw new Error('A gradient needs at least two colors');
+            }
+
+            const cx = quietZone + width / 2;
+            const cy = quietZone + height / 2;
+            let geometry;
+            if (type === 'linear') {
+                const radians = angle * Math.PI / 180;
+                const dx = Math.cos(radians) * width / 2;
+                const dy = Math.sin(radians) * height / 2;
+                geometry = { x1: cx - dx, y1: cy - dy, x2: cx + dx, y2: cy + dy };
+            } else if (type === 'radial') {
+                geometry = { cx, cy, r: Math.hypot(width, height) / 2 };
+            } else {
+                throw new Error(`Unknown gradient type: ${type}`);
+            }
+            gradient = { type, colors: colors.slice(), geometry };
+        }
+
+        return {
+            layers: [
+                { fill: foreground, shapes },
+                { fill: eyes.outerColor || foreground, shapes: outerShapes },
+                { fill: eyes.innerColor || foreground, shapes: innerShapes }
+            ],
+            gradient
+        };
+    }
+
+    function shapeToSVGPath(shape) {
+        const f = formatNumber;
+        if (shape.type === 'circle') {
+            const { cx, cy, r } = shape;
+            return `M${f(cx - r)} ${f(cy)}a${f(r)} ${f(r)} 0 1 0 ${f(2 * r)} 0a${f(r)} ${f(r)} 0 1 0 ${f(-2 * r)} 0z`;
+        }
+
+        const { x, y, width, height } = shape;
+        const r = Math.min(shape.r, width / 2, height / 2);
+        if (!r) {
+            return `M${f(x)} ${f(y)}h${f(width)}v${f(height)}h${f(-width)}z`;
+        }
+        const arc = (dx, dy) => `a${f(r)} ${f(r)} 0 0 1 ${f(dx)} ${f(dy)}`;
+        return `M${f(x + r)} ${f(y)}h${f(width - 2 * r)}${arc(r, r)}v${f(height - 2 * r)}${arc(-r, r)}` +
+            `h${f(2 * r - width)}${arc(-r, -r)}v${f(2 * r - height)}${arc(r, -r)}z`;
+    }
+
+    function traceCanvasShape(ctx, shape, scale) {
+        if (shape.type === 'circle') {
+            ctx.moveTo((shape.cx + shape.r) * scale, shape.cy * scale);
+            ctx.arc(shape.cx * scale, shape.cy * scale, shape.r * scale, 0, Math.PI * 2);
+            ctx.closePath();
+            return;
+        }
+
+        const x = shape.x * scale;
+        const y = shape.y * scale;
+        const width = shape.width * scale;
+        const height = shape.height * scale;
+        const r = Math.min(shape.r * scale, width / 2, height / 2);
+        if (!r) {
+            ctx.rect(x, y, width, height);
+            return;
+        }
+        ctx.moveTo(x + r, y);
+        ctx.arcTo(x + width, y, x + width, y + height, r);
+        ctx.arcTo(x + width, y + height, x, y + height, r);
+        ctx.arcTo(x, y + height, x, y, r);
+        ctx.arcTo(x, y, x + width, y, r);
+        ctx.closePath();
+    }
+
+    function renderStyled(canvas, qrData, moduleSize, options) {
+        const { matrix } = qrData;
+        const quietZone = getMargin(qrData, options);
+        const background = options.background === undefined ? '#FFFFFF' : options.background;
+        reportStyleWarnings(options);
+
+        canvas.width = (matrix[0].length + quietZone * 2) * moduleSize;
+        canvas.height = (matrix.length + quietZone * 2) * moduleSize;
+
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (background && background !== 'transparent') {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
+        const { layers, gradient } = buildStyledLayers(qrData, options);
+        let gradientFill = null;
+        if (gradient) {
+            const g = gradient.geometry;
+            gradientFill = gradient.type === 'radial' ?
+                ctx.createRadialGradient(g.cx * moduleSize, g.cy * moduleSize, 0, g.cx * moduleSize, g.cy * moduleSize, g.r * moduleSize) :
+                ctx.createLinearGradient(g.x1 * moduleSize, g.y1 * moduleSize, g.x2 * moduleSize, g.y2 * moduleSize);
+            gradient.colors.forEach((color, i) => gradientFill.addColorStop(i / (gradient.colors.length - 1), color));
+        }
+
+        for (const layer of layers) {
+            if (layer.shapes.length === 0) continue;
+            ctx.fillStyle = layer.fill === null ? gradientFill : layer.fill;
+            ctx.beginPath();
+            layer.shapes.forEach(shape => traceCanvasShape(ctx, shape, moduleSize));
+            ctx.fill('evenodd');
+        }
+
+        drawLogoImage(ctx, qrData.logo, quietZone, moduleSize);
+    }
+
+    // ============================================================
+    // PRINT SIZING
+    // ============================================================
+
+    const MM_PER_INCH = 25.4;
+
+    // Smallest module (X-dimension) most phone cameras and label scanners
+    // resolve reliably, in millimetres
+    const DEFAULT_MIN_MODULE_MM = 0.25;
+
+    // Rule of thumb for reading distance: a symbol scans from about ten
+    // times its width
+    const SCAN_DISTANCE_RATIO = 10;
+
+    // Choose a whole number of printer dots per module for a physical size.
+    // Give either width (printed width in mm, quiet zone included; the result
+    // never exceeds it) or distance (scanning distance in mm; the result is
+    // at least large enough). The result can be passed straight to toRaster(),
+    // toPNG() and toSVG() as options.
+    function printSize(qrData, options = {}) {
+        const dpi = options.dpi !== undefined ? options.dpi : 300;
+        const margin = getMargin(qrData, options);
+        const minModuleMm = options.minModule !== undefined ? options.minModule : DEFAULT_MIN_MODULE_MM;
+
+        if (typeof dpi !== 'number' || !(dpi > 0)) {
+            throw new Error('DPI must be a positive number');
+        }
+        if (typeof minModuleMm !== 'number' || !(minModuleMm > 0)) {
+            throw new Error('Minimum module size must be a positive number of millimetres');
+        }
+        if ((options.width === undefined) === (options.distance === undefined)) {
+            throw new Error('Give either a target width or a scanning distance, in millimetres');
+        }
+
+        const modulesWide = qrData.matrix[0].length + margin * 2;
+        const modulesHigh = qrData.matrix.length + margin * 2;
+        const dotsPerMm = dpi / MM_PER_INCH;
+
+        let moduleSize;
+        if (options.width !== undefined) {
+            if (!(options.width > 0)) throw new Error('Target width must be a positive number of millimetres');
+            moduleSize = Math.floor(options.width / modulesWide * dotsPerMm);
+        } else {
+            if (!(options.distance > 0)) throw new Error('Scanning distance must be a positive number of millimetres');
+            const symbolWidth = options.distance / SCAN_DISTANCE_RATIO;
+            moduleSize = Math.ceil(symbolWidth / qrData.matrix[0].length * dotsPerMm);
+        }
+
+        const warnings = [];
+        if (moduleSize < 1) {
+            moduleSize = 1;
+            warnings.push(`${options.width} mm is too narrow for ${modulesWide} modules at ${dpi} dpi; using one dot per module`);
+        }
+
+        const moduleMm = moduleSize / dotsPerMm;
+        if (moduleMm < minModuleMm) {
+            warnings.push(`Module size ${moduleMm.toFixed(3)} mm is below the minimum X-dimension of ${minModuleMm} mm`);
+        }
+        const report = getWarningSink(options);
+        warnings.forEach(message => report(message));
+
+        return {
+            dpi,
+            margin,
+            moduleSize,
+            moduleMm,
+            widthMm: modulesWide * moduleMm,
+            heightMm: modulesHigh * moduleMm,
+            widthPx: modulesWide * moduleSize,
+            heightPx: modulesHigh * moduleSize,
+            warnings
+        };
+    }
+
+    // ============================================================
+    // TEXT OUTPUT
+    // ============================================================
+
+    const ANSI_DARK = '\x1b[40m';
+    const ANSI_LIGHT = '\x1b[47m';
+    const ANSI_RESET = '\x1b[0m';
+
+    // Text rendering for terminals. 'compact' packs two module rows into each
+    // line with half blocks, 'ascii' draws each module as two characters and
+    // 'ansi' as two spaces with a black or white background. Block characters
+    // are dark; invert draws light modules instead, for light-on-dark terminals.
+    function toString(qrData, options = {}) {
+        const { matrix } = qrData;
+        const quietZone = getMargin(qrData, options);
+        const format = options.format || 'compact';
+        const invert = Boolean(options.invert);
+
+        const width = matrix[0].length + quietZone * 2;
+        const height = matrix.length + quietZone * 2;
+        const isDark = (row, col) => {
+            const i = row - quietZone;
+            const j = col - quietZone;
+            const dark = i >= 0 && j >= 0 && i < matrix.length && j < matrix[i].length && matrix[i][j] === 1;
+            return dark !== invert;
+        };
+
+        const lines = [];
+        if (format === 'compact') {
+            // The row after an odd last row belongs to the quiet zone
+            for (let row = 0; row < height; row += 2) {
+                let line = '';
+                for (let col = 0; col < width; col++) {
+                    const top = isDark(row, col);
+                    const bottom = row + 1 < height ? isDark(row + 1, col) : invert;
+                    line += top ? (bottom ? '\u2588' : '\u2580') : (bottom ? '\u2584' : ' ');
+                }
+                lines.push(line);
+            }
+        } else if (format === 'ascii') {
+            for (let row = 0; row < height; row++) {
+                let line = '';
+                for (let col = 0; col < width; col++) {
+                    line += isDark(row, col) ? '##' : '  ';
+                }
+                lines.push(line);
+            }
+        } else if (format === 'ansi') {
+            for (let row = 0; row < height; row++) {
+                let line = '';
+                let current = null;
+                for (let col = 0; col < width; col++) {
+                    const color = isDark(row, col) ? ANSI_DARK : ANSI_LIGHT;
+                    if (color !== current) {
+                        line += color;
+                        current = color;
+                    }
+                    line += '  ';
+                }
+                lines.push(line + ANSI_RESET);
+            }
+        } else {
+            throw new Error(`Unknown text format: ${format}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    // ============================================================
+    // RASTER AND PNG OUTPUT
+    // ============================================================
+
+    // Rasterize without a canvas: 'rgba' gives 4 bytes per pixel, 'gray' one
+    // byte per pixel, 0 for dark and 255 for light
+    function toRaster(qrData, options = {}) {
+        const { matrix } = qrData;
+        const quietZone = getMargin(qrData, options);
+        const moduleSize = options.moduleSize !== undefined ? options.moduleSize : 8;
+        const format = options.format || 'rgba';
+
+        if (format !== 'rgba' && format !== 'gray') {
+            throw new Error(`Unknown raster format: ${format}`);
+        }
+        if (!Number.isInteger(moduleSize) || moduleSize < 1) {
+            throw new Error('Module size must be a positive integer');
+        }
+
+        const channels = format === 'rgba' ? 4 : 1;
+        const width = (matrix[0].length + quietZone * 2) * moduleSize;
+        const height = (matrix.length + quietZone * 2) * moduleSize;
+        const data = new Uint8Array(width * height * channels).fill(255);
+
+        for (let i = 0; i < matrix.length; i++) {
+            for (let j = 0; j < matrix[i].length; j++) {
+                if (matrix[i][j] !== 1) continue;
+                for (let y = 0; y < moduleSize; y++) {
+                    const rowStart = ((i + quietZone) * moduleSize + y) * width + (j + quietZone) * moduleSize;
+                    for (let x = 0; x < moduleSize; x++) {
+                        const offset = (rowStart + x) * channels;
+                        // RGB to black, alpha stays opaque
+                        data.fill(0, offset, offset + Math.min(channels, 3));
+                    }
+                }
+            }
+        }
+
+        return { width, height, channels, data };
+    }
+
+    let crcTable = null;
+
+    function crc32(bytes, start = 0, end = bytes.length) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = start; i < end; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    function adler32(bytes) {
+        let a = 1;
+        let b = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            a = (a + bytes[i]) % 65521;
+            b = (b + a) % 65521;
+        }
+        return ((b << 16) | a) >>> 0;
+    }
+
+    // Deflate length and distance codes (RFC 1951, 3.2.5)
+    const DEFLATE_LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+        35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+    const DEFLATE_LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+        3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+    const DEFLATE_DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+        257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+    const DEFLATE_DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+        7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+    // Single deflate block with the fixed Huffman codes and LZ77 matches over
+    // a 32K window. Rows of modules repeat heavily, so this is close to what
+    // dynamic codes would give, with no code tables to build.
+    function deflate(bytes) {
+        const out = [];
+        let bitBuffer = 0;
+        let bitCount = 0;
+
+        // Extra bits and the block header are written LSB first
+        function writeBits(value, count) {
+            bitBuffer |= value << bitCount;
+            bitCount += count;
+            while (bitCount >= 8) {
+                out.push(bitBuffer & 0xFF);
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        }
+
+        // Huffman codes are written MSB first
+        function writeCode(code, length) {
+            let reversed = 0;
+            for (let i = 0; i < length; i++) {
+                reversed = (reversed << 1) | ((code >> i) & 1);
+            }
+            writeBits(reversed, length);
+        }
+
+        function writeSymbol(symbol) {
+            if (symbol < 144) writeCode(0x30 + symbol, 8);
+            else if (symbol < 256) writeCode(0x190 + symbol - 144, 9);
+            else if (symbol < 280) writeCode(symbol - 256, 7);
+            else writeCode(0xC0 + symbol - 280, 8);
+        }
+
+        function writeMatch(length, distance) {
+            let code = DEFLATE_LENGTH_BASE.length - 1;
+            while (DEFLATE_LENGTH_BASE[code] > length) code--;
+            writeSymbol(257 + code);
+            writeBits(length - DEFLATE_LENGTH_BASE[code], DEFLATE_LENGTH_EXTRA[code]);
+
+            code = DEFLATE_DISTANCE_BASE.length - 1;
+            while (DEFLATE_DISTANCE_BASE[code] > distance) code--;
+            writeCode(code, 5);
+            writeBits(distance - DEFLATE_DISTANCE_BASE[code], DEFLATE_DISTANCE_EXTRA[code]);
+        }
+
+        const WINDOW = 32768;
+        const MAX_CHAIN = 64;
+        const head = new Int32Array(1 << 15).fill(-1);
+        const previous = new Int32Array(bytes.length);
+        const hash = i => ((bytes[i] << 10) ^ (bytes[i + 1] << 5) ^ bytes[i + 2]) & 0x7FFF;
+        const insert = i => {
+            if (i + 2 >= bytes.length) return;
+            const h = hash(i);
+            previous[i] = head[h];
+            head[h] = i;
+        };
+
+        // BFINAL = 1, BTYPE = 01 (fixed Huffman codes)
+        writeBits(1, 1);
+        writeBits(1, 2);
+
+        let i = 0;
+        while (i < bytes.length) {
+            let bestLength = 0;
+            let bestDistance = 0;
+
+            if (i + 2 < bytes.length) {
+                const maxLength = Math.min(258, bytes.length - i);
+                let candidate = head[hash(i)];
+                for (let chain = 0; candidate >= 0 && i - candidate <= WINDOW && chain < MAX_CHAIN; chain++) {
+                    let length = 0;
+                    while (length < maxLength && bytes[candidate + length] === bytes[i + length]) length++;
+                    if (length > bestLength) {
+                        bestLength = length;
+                        bestDistance = i - candidate;
+                        if (length === maxLength) break;
+                    }
+                    candidate = previous[candidate];
+                }
+            }
+
+            if (bestLength >= 3) {
+                writeMatch(bestLength, bestDistance);
+                for (let k = 0; k < bestLength; k++) insert(i + k);
+                i += bestLength;
+            } else {
+                writeSymbol(bytes[i]);
+                insert(i);
+                i++;
+            }
+        }
+
+        writeSymbol(256);
+        if (bitCount > 0) out.push(bitBuffer & 0xFF);
+
+        return out;
+    }
+
+    // zlib stream (RFC 1950): header, deflate data, Adler-32 of the input
+    function zlibCompress(bytes) {
+        return [0x78, 0x9C, ...deflate(bytes), ...uint32Bytes(adler32(bytes))];
+    }
+
+    function uint32Bytes(value) {
+        return [value >>> 24, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+    }
+
+    // Length, type, data, then a CRC over type and data
+    function pngChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        chunk.set(uint32Bytes(data.length), 0);
+        for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+        chunk.set(data, 8);
+        chunk.set(uint32Bytes(crc32(chunk, 4, 8 + data.length)), 8 + data.length);
+        return chunk;
+    }
+
+    // Grayscale PNG, 1-bit (default) or 8-bit. dpi adds a pHYs chunk so
+    // printers reproduce the intended physical size.
+    function toPNG(qrData, options = {}) {
+        const bitDepth = options.bitDepth || 1;
+        if (bitDepth !== 1 && bitDepth !== 8) {
+            throw new Error('PNG bit depth must be 1 or 8');
+        }
+
+        const { width, height, data } = toRaster(qrData, Object.assign({}, options, { format: 'gray' }));
+
+        // Each scanline starts with filter type 0 (none)
+        const stride = bitDepth === 1 ? Math.ceil(width / 8) : width;
+        const scanlines = new Uint8Array((stride + 1) * height);
+        for (let y = 0; y < height; y++) {
+            const rowStart = y * (stride + 1) + 1;
+            for (let x = 0; x < width; x++) {
+                const value = data[y * width + x];
+                if (bitDepth === 8) {
+                    scanlines[rowStart + x] = value;
+                } else if (value) {
+                    scanlines[rowStart + (x >> 3)] |= 0x80 >> (x & 7);
+                }
+            }
+        }
+
+        const chunks = [
+            // Width, height, bit depth, color type 0 (grayscale), compression,
+            // filter and interlace methods
+            pngChunk('IHDR', [...uint32Bytes(width), ...uint32Bytes(height), bitDepth, 0, 0, 0, 0])
+        ];
+        if (options.dpi) {
+            const pixelsPerMeter = Math.round(options.dpi / 0.0254);
+            chunks.push(pngChunk('pHYs', [...uint32Bytes(pixelsPerMeter), ...uint32Bytes(pixelsPerMeter), 1]));
+        }
+        chunks.push(pngChunk('IDAT', zlibCompress(scanlines)));
+        chunks.push(pngChunk('IEND', []));
+
+        const png = new Uint8Array(8 + chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        png.set([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A], 0);
+        let offset = 8;
+        for (const chunk of chunks) {
+            png.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return png;
+    }
+
+    // ============================================================
+    // PDF OUTPUT
+    // ============================================================
+
+    const PT_PER_MM = 72 / MM_PER_INCH;
+
+    // Width and height in mm
+    const PAGE_SIZES = {
+        A4: [210, 297],
+        A5: [148, 210],
+        Letter: [215.9, 279.4],
+        Legal: [215.9, 355.6]
+    };
+
+    // Helvetica advance widths (1/1000 em) for WinAnsi codes 32-126; other
+    // characters are measured as 556
+    const HELVETICA_WIDTHS = [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ];
+
+    const MIN_LABEL_FONT_SIZE = 4;
+
+    function getTextWidth(text, fontSize) {
+        let width = 0;
+        for (const char of text) {
+            const code = char.charCodeAt(0);
+            width += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+        }
+        return width * fontSize / 1000;
+    }
+
+    // PDF literal string in Latin-1; characters outside it become '?'
+    function pdfString(text) {
+        let result = '(';
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            if (char === '(' || char === ')' || char === '\\') {
+                result += `\\${char}`;
+            } else if (code < 32 || code > 255 || (code >= 127 && code < 160)) {
+                result += '?';
+            } else {
+                result += char;
+            }
+        }
+        return `${result})`;
+    }
+
+    function latin1Bytes(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    function getPageMargins(pageMargin) {
+        const value = pageMargin === undefined ? 10 : pageMargin;
+        const margins = typeof value === 'number' ?
+            { top: value, right: value, bottom: value, left: value } :
+            Object.assign({ top: 0, right: 0, bottom: 0, left: 0 }, value);
+        if (Object.values(margins).some(margin => !(margin >= 0))) {
+            throw new Error('Page margins must be non-negative numbers of millimetres');
+        }
+        return margins;
+    }
+
+    // Content stream for one code: merged dark rectangles in module units,
+    // mapped onto the page by one transform, and the label centred beneath
+    function drawPDFCode(item, box, options) {
+        const { qrData, label } = item;
+        const { matrix } = qrData;
+        const quietZone = getMargin(qrData, options);
+        const modulesWide = matrix[0].length + quietZone * 2;
+        const modulesHigh = matrix.length + quietZone * 2;
+        const modulePt = box.codeWidth / modulesWide;
+        const codeHeight = modulePt * modulesHigh;
+
+        // Code and label are centred together in the cell
+        const labelHeight = label ? box.fontSize * 1.2 + box.labelGap : 0;
+        const left = box.x + (box.width - box.codeWidth) / 2;
+        const top = box.y - (box.height - codeHeight - labelHeight) / 2;
+
+        const n = formatNumber;
+        const rectangles = getDarkRectangles(matrix)
+            .map(({ x, y, width, height }) => `${x + quietZone} ${y + quietZone} ${width} ${height} re`);
+        const commands = [
+            'q',
+            `${n(modulePt)} 0 0 ${n(-modulePt)} ${n(left)} ${n(top)} cm`,
+            ...rectangles,
+            'f',
+            'Q'
+        ];
+
+        if (label) {
+            let fontSize = box.fontSize;
+            const textWidth = getTextWidth(label, fontSize);
+            if (textWidth > box.width) {
+                fontSize = Math.max(MIN_LABEL_FONT_SIZE, fontSize * box.width / textWidth);
+            }
+            const x = box.x + (box.width - getTextWidth(label, fontSize)) / 2;
+            const baseline = top - codeHeight - box.labelGap - box.fontSize;
+            commands.push(`BT /F1 ${n(fontSize)} Tf ${n(x)} ${n(baseline)} Td ${pdfString(label)} Tj ET`);
+        }
+
+        return { commands, moduleMm: modulePt / PT_PER_MM };
+    }
+
+    // Lay codes out on a grid of equal cells, left to right and top to
+    // bottom, starting new pages as needed. Each item is a generate() result
+    // or { qrData, label }. Dimensions are in millimetres, the label font
+    // size in points.
+    function toPDF(items, options = {}) {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new Error('toPDF() needs an array of codes');
+        }
+
+        const pageSize = options.pageSize || 'A4';
+        const [pageWidth, pageHeight] = Array.isArray(pageSize) ? pageSize : PAGE_SIZES[pageSize] || [];
+        if (!(pageWidth > 0) || !(pageHeight > 0)) {
+            throw new Error(`Unknown page size: ${pageSize} (expected ${Object.keys(PAGE_SIZES).join(', ')} or [width, height])`);
+        }
+
+        const columns = options.columns !== undefined ? options.columns : 3;
+        const rows = options.rows !== undefined ? options.rows : 8;
+        if (!Number.isInteger(columns) || columns < 1 || !Number.isInteger(rows) || rows < 1) {
+            throw new Error('Columns and rows must be positive integers');
+        }
+
+        const margins = getPageMargins(options.pageMargin);
+        const columnGap = options.columnGap || 0;
+        const rowGap = options.rowGap || 0;
+        const cellWidth = (pageWidth - margins.left - margins.right - columnGap * (columns - 1)) / columns;
+        const cellHeight = (pageHeight - margins.top - margins.bottom - rowGap * (rows - 1)) / rows;
+        if (!(cellWidth > 0) || !(cellHeight > 0)) {
+            throw new Error(`${columns}x${rows} cells do not fit a ${pageWidth}x${pageHeight} mm page with these margins`);
+        }
+
+        const fontSize = options.fontSize || 8;
+        const labelGap = 1;
+        const hasLabels = items.some(item => item.label);
+        const labelMm = hasLabels ? (fontSize * 1.2) / PT_PER_MM + labelGap : 0;
+        const codeSize = options.codeSize || Math.min(cellWidth, cellHeight - labelMm);
+        if (!(codeSize > 0) || codeSize > cellWidth + 1e-9 || codeSize + labelMm > cellHeight + 1e-9) {
+            throw new Error(`A ${formatNumber(codeSize)} mm code${hasLabels ? ' and its label' : ''} does not fit ` +
+                `a ${formatNumber(cellWidth)}x${formatNumber(cellHeight)} mm cell`);
+        }
+
+        const perPage = columns * rows;
+        const pages = [];
+        const minModuleMm = options.minModule || DEFAULT_MIN_MODULE_MM;
+        let smallestModule = Infinity;
+
+        items.forEach((entry, i) => {
+            const item = entry && entry.matrix ? { qrData: entry, label: null } : entry;
+            if (!item || !item.qrData || !item.qrData.matrix) {
+                throw new Error(`Code ${i + 1} is neither a generate() result nor { qrData, label }`);
+            }
+            const cell = i % perPage;
+            const column = cell % columns;
+            const row = Math.floor(cell / columns);
+            if (cell === 0) pages.push([]);
+
+            // PDF user space starts at the bottom-left corner, in points
+            const box = {
+                x: (margins.left + column * (cellWidth + columnGap)) * PT_PER_MM,
+                y: (pageHeight - margins.top - row * (cellHeight + rowGap)) * PT_PER_MM,
+                width: cellWidth * PT_PER_MM,
+                height: cellHeight * PT_PER_MM,
+                codeWidth: codeSize * PT_PER_MM,
+                fontSize,
+                labelGap: labelGap * PT_PER_MM
+            };
+            const { commands, moduleMm } = drawPDFCode(item, box, options);
+            smallestModule = Math.min(smallestModule, moduleMm);
+            pages[pages.length - 1].push(...commands);
+        });
+
+        if (smallestModule < minModuleMm) {
+            const report = getWarningSink(options);
+            report(`Module size ${smallestModule.toFixed(3)} mm is below the minimum X-dimension of ${minModuleMm} mm`);
+        }
+
+        return buildPDF(pages, pageWidth * PT_PER_MM, pageHeight * PT_PER_MM, options.title);
+    }
+
+    // Catalog, page tree, Helvetica and document info, then a page and a
+    // compressed content stream per page; the xref table records byte offsets
+    function buildPDF(pages, width, height, title) {
+        const objects = [];
+        const pageIds = pages.map((_, i) => 5 + i * 2);
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+        objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+        objects[4] = `<< /Producer (qrcode.js)${title ? ` /Title ${pdfString(title)}` : ''} >>`;
+
+        pages.forEach((commands, i) => {
+            const id = pageIds[i];
+            objects[id] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(width)} ${formatNumber(height)}] ` +
+                `/Resources << /Font << /F1 3 0 R >> >> /Contents ${id + 1} 0 R >>`;
+            const stream = zlibCompress(latin1Bytes(commands.join('\n')));
+            objects[id + 1] = [
+                latin1Bytes(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`),
+                Uint8Array.from(stream),
+                latin1Bytes('\nendstream')
+            ];
+        });
+
+        // The comment of high bytes marks the file as binary for transfer tools
+        const chunks = [latin1Bytes('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')];
+        let length = chunks[0].length;
+        const offsets = [];
+        const push = bytes => {
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = length;
+            push(latin1Bytes(`${id} 0 obj\n`));
+            const body = objects[id];
+            (Array.isArray(body) ? body : [latin1Bytes(body)]).forEach(push);
+            push(latin1Bytes('\nendobj\n'));
+        }
+
+        const xrefOffset = length;
+        let xref = `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objects.length; id++) {
+            xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        xref += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+        push(latin1Bytes(xref));
+
+        const pdf = new Uint8Array(length);
+        let offset = 0;
+        for (const chunk of chunks) {
+            pdf.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return pdf;
+    }
+
+    // ============================================================
+    // CAD AND CNC OUTPUT
+    // ============================================================
+
+    // The symbol with its quiet zone as rows of 0/1, where 1 is material
+    // to cut or engrave: dark modules, or with invert the light ones and the
+    // quiet zone, for engraving light modules into dark stock
+    function getEngraveGrid(qrData, options) {
+        const { matrix } = qrData;
+        const quietZone = getMargin(qrData, options);
+        const invert = Boolean(options.invert);
+        const width = matrix[0].length + quietZone * 2;
+        const height = matrix.length + quietZone * 2;
+
+        const grid = [];
+        for (let y = 0; y < height; y++) {
+            grid[y] = new Uint8Array(width);
+            for (let x = 0; x < width; x++) {
+                const row = matrix[y - quietZone];
+                const dark = Boolean(row && row[x - quietZone] === 1);
+                grid[y][x] = dark !== invert ? 1 : 0;
+            }
+        }
+        return { grid, width, height };
+    }
+
+    // Label 4-connected regions of set cells, numbered from 1
+    function labelRegions(grid, width, height) {
+        const labels = grid.map(() => new Int32Array(width));
+        let count = 0;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!grid[y][x] || labels[y][x]) continue;
+                count++;
+                const stack = [[x, y]];
+                labels[y][x] = count;
+                while (stack.length) {
+                    const [cx, cy] = stack.pop();
+                    for (const [nx, ny] of [[cx + 1, cy], [cx - 1, cy], [cx, cy + 1], [cx, cy - 1]]) {
+                        if (nx >= 0 && ny >= 0 && nx < width && ny < height && grid[ny][nx] && !labels[ny][nx]) {
+                            labels[ny][nx] = count;
+                            stack.push([nx, ny]);
+                        }
+                    }
+                }
+            }
+        }
+        return labels;
+    }
+
+    // Twice the signed area; positive for clockwise loops with y pointing down
+    function signedArea(points) {
+        let area = 0;
+        for (let i = 0; i < points.length; i++) {
+            const [x1, y1] = points[i];
+            const [x2, y2] = points[(i + 1) % points.length];
+            area += x1 * y2 - x2 * y1;
+        }
+        return area;
+    }
+
+    // Outline polygons of the set regions of a grid, in module units with y
+    // down. Cell edges facing unset cells are walked with the set cell on the
+    // right, so outlines run clockwise and holes anticlockwise. Where two
+    // regions touch only at a corner the walk turns right, keeping them apart.
+    function traceGridContours(grid, width, height) {
+        const labels = labelRegions(grid, width, height);
+        const isSet = (x, y) => x >= 0 && y >= 0 && x < width && y < height && grid[y][x] === 1;
+        const outgoing = new Map();
+        const addEdge = (x, y, dx, dy, region) => {
+            const key = y * (width + 1) + x;
+            if (!outgoing.has(key)) outgoing.set(key, []);
+            outgoing.get(key).push({ x, y, dx, dy, region });
+        };
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!grid[y][x]) continue;
+                const region = labels[y][x];
+                if (!isSet(x, y - 1)) addEdge(x, y, 1, 0, region);
+                if (!isSet(x + 1, y)) addEdge(x + 1, y, 0, 1, region);
+                if (!isSet(x, y + 1)) addEdge(x + 1, y + 1, -1, 0, region);
+                if (!isSet(x - 1, y)) addEdge(x, y + 1, 0, -1, region);
+            }
+        }
+
+        const polygons = new Map();
+        for (const edges of outgoing.values()) {
+            while (edges.length) {
+                const first = edges.pop();
+                const points = [[first.x, first.y]];
+                let edge = first;
+
+                for (;;) {
+                    const x = edge.x + edge.dx;
+                    const y = edge.y + edge.dy;
+                    const candidates = outgoing.get(y * (width + 1) + x) || [];
+                    // Right turn, straight on, then left
+                    const turns = [[-edge.dy, edge.dx], [edge.dx, edge.dy], [edge.dy, -edge.dx]];
+                    let index = -1;
+                    for (const [dx, dy] of turns) {
+                        index = candidates.findIndex(candidate => candidate.dx === dx && candidate.dy === dy);
+                        if (index !== -1) break;
+                    }
+                    if (index === -1) break;
+
+                    const next = candidates.splice(index, 1)[0];
+                    if (next.dx !== edge.dx || next.dy !== edge.dy) points.push([x, y]);
+                    edge = next;
+                }
+
+                // The walk ends back at the start; drop it if it was mid-side
+                if (points.length > 1 && edge.dx === first.dx && edge.dy === first.dy) points.shift();
+
+                if (!polygons.has(first.region)) polygons.set(first.region, { outline: null, holes: [] });
+                const polygon = polygons.get(first.region);
+                if (signedArea(points) > 0) {
+                    polygon.outline = points;
+                } else {
+                    polygon.holes.push(points);
+                }
+            }
+        }
+
+        return [...polygons.entries()].sort((a, b) => a[0] - b[0]).map(([, polygon]) => polygon);
+    }
+
+    // Polygons covering the dark modules (or with invert the light modules
+    // and quiet zone), each { outline, holes } as [x, y] points in modules
+    // from the top-left corner of the quiet zone
+    function toContours(qrData, options = {}) {
+        const { grid, width, height } = getEngraveGrid(qrData, options);
+        return traceGridContours(grid, width, height);
+    }
+
+    const CAD_UNITS = { mm: { dxf: 4, gcode: 'G21', digits: 3 }, in: { dxf: 1, gcode: 'G20', digits: 4 } };
+
+    function getCadSettings(qrData, options) {
+        const units = options.units || 'mm';
+        const moduleSize = options.moduleSize !== undefined ? options.moduleSize : (units === 'in' ? 0.04 : 1);
+        if (!CAD_UNITS[units]) {
+            throw new Error(`Unknown units: ${units} (expected mm or in)`);
+        }
+        if (!(moduleSize > 0)) {
+            throw new Error('Module size must be a positive number');
+        }
+
+        const { digits } = CAD_UNITS[units];
+        const heightModules = qrData.matrix.length + getMargin(qrData, options) * 2;
+        // Machine coordinates have y pointing up, with the origin at the
+        // bottom-left corner of the quiet zone
+        const point = ([x, y]) => [
+            Number((x * moduleSize).toFixed(digits)),
+            Number(((heightModules - y) * moduleSize).toFixed(digits))
+        ];
+        return { units, moduleSize, digits, point };
+    }
+
+    // AutoCAD R12 DXF with one closed polyline per outline and hole, which
+    // CAD and laser software read as the boundaries of filled regions
+    function toDXF(qrData, options = {}) {
+        const { units, point } = getCadSettings(qrData, options);
+        const layer = options.layer || 'QR';
+        const lines = [
+            '0', 'SECTION', '2', 'HEADER',
+            '9', '$ACADVER', '1', 'AC1009',
+            '9', '$INSUNITS', '70', String(CAD_UNITS[units].dxf),
+            '0', 'ENDSEC',
+            '0', 'SECTION', '2', 'ENTITIES'
+        ];
+
+        for (const { outline, holes } of toContours(qrData, options)) {
+            for (const loop of [outline, ...holes]) {
+                lines.push('0', 'POLYLINE', '8', layer, '66', '1', '70', '1', '10', '0', '20', '0', '30', '0');
+                for (const [x, y] of loop.map(point)) {
+                    lines.push('0', 'VERTEX', '8', layer, '10', String(x), '20', String(y), '30', '0');
+                }
+                lines.push('0', 'SEQEND', '8', layer);
+            }
+        }
+
+        lines.push('0', 'ENDSEC', '0', 'EOF');
+        return `${lines.join('\n')}\n`;
+    }
+
+    const GCODE_STRATEGIES = ['outline', 'fill'];
+
+    // G-code for a laser (default M3/M5) or, with toolOn/toolOff set to
+    // plunge and retract moves, a mill. 'outline' traces each contour;
+    // 'fill' sweeps horizontal lines lineSpacing apart across every run of
+    // modules, alternating direction to shorten travel.
+    function toGCode(qrData, options = {}) {
+        const { units, moduleSize, digits, point } = getCadSettings(qrData, options);
+        const strategy = options.strategy || 'outline';
+        const feedRate = options.feedRate !== undefined ? options.feedRate : (units === 'in' ? 40 : 1000);
+        const toolOn = options.toolOn || 'M3 S1000';
+        const toolOff = options.toolOff || 'M5';
+        const lineSpacing = options.lineSpacing !== undefined ? options.lineSpacing : moduleSize / 10;
+
+        if (!GCODE_STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown strategy: ${strategy} (expected ${GCODE_STRATEGIES.join(' or ')})`);
+        }
+        if (!(feedRate > 0)) {
+            throw new Error('Feed rate must be a positive number');
+        }
+        if (!(lineSpacing > 0) || lineSpacing > moduleSize) {
+            throw new Error('Line spacing must be positive and at most the module size');
+        }
+
+        const format = value => Number(value.toFixed(digits));
+        const lines = [
+            `; QR code ${qrData.version}-${qrData.eccLevel}, ${strategy}, ${formatNumber(moduleSize)} ${units} modules`,
+            CAD_UNITS[units].gcode,
+            'G90',
+            toolOff
+        ];
+        const cut = path => {
+            const [[startX, startY], ...rest] = path;
+            lines.push(`G0 X${startX} Y${startY}`, toolOn);
+            lines.push(`G1 X${rest[0][0]} Y${rest[0][1]} F${formatNumber(feedRate)}`);
+            rest.slice(1).forEach(([x, y]) => lines.push(`G1 X${x} Y${y}`));
+            lines.push(toolOff);
+        };
+
+        if (strategy === 'outline') {
+            for (const { outline, holes } of toContours(qrData, options)) {
+                for (const loop of [outline, ...holes]) {
+                    const path = loop.map(point);
+                    cut([...path, path[0]]);
+                }
+            }
+        } else {
+            const { grid, width, height } = getEngraveGrid(qrData, options);
+            const passes = Math.ceil(moduleSize / lineSpacing - 1e-9);
+            let forward = true;
+
+            for (let row = 0; row < height; row++) {
+                const runs = [];
+                for (let x = 0; x < width; x++) {
+                    if (!grid[row][x]) continue;
+                    const start = x;
+                    while (x < width && grid[row][x]) x++;
+                    runs.push([start, x]);
+                }
+                if (!runs.length) continue;
+
+                // Passes are spread evenly over the module row
+                for (let pass = 0; pass < passes; pass++) {
+                    const y = row + (pass + 0.5) / passes;
+                    const ordered = forward ? runs : runs.slice().reverse();
+                    for (const [start, end] of ordered) {
+                        const ends = forward ? [start, end] : [end, start];
+                        cut(ends.map(x => point([x, y])).map(([px, py]) => [format(px), format(py)]));
+                    }
+                    forward = !forward;
+                }
+            }
+        }
+
+        lines.push(toolOff, 'G0 X0 Y0', 'M2');
+        return `${lines.join('\n')}\n`;
+    }
+
+    // ============================================================
+    // STRUCTURED PAYLOADS
+    // ============================================================
+
+    // Builders return text ready for generate(); each parse function reads
+    // the same format back and throws if the text is not that payload
+
+    function backslashEscape(text, specials) {
+        let escaped = '';
+        for (const char of String(text)) {
+            escaped += specials.includes(char) ? `\\${char}` : char;
+        }
+        return escaped;
+    }
+
+    function backslashUnescape(text) {
+        return text.replace(/\\(.)/g, '$1');
+    }
+
+    // Split on separators that are not backslash-escaped
+    function splitUnescaped(text, separator) {
+        const parts = [];
+        let current = '';
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\\' && i + 1 < text.length) {
+                current += text[i] + text[i + 1];
+                i++;
+            } else if (text[i] === separator) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += text[i];
+            }
+        }
+        parts.push(current);
+        return parts;
+    }
+
+    function toList(value) {
+        if (value === undefined || value === null || value === '') return [];
+        return Array.isArray(value) ? value : [value];
+    }
+
+    // 'KEY:value;KEY:value;;' as used by WIFI: and MECARD:
+    function parseKeyValues(text, prefix, name) {
+        if (typeof text !== 'string' || text.slice(0, prefix.length).toUpperCase() !== prefix) {
+            throw new Error(`Not a ${name} payload`);
+        }
+
+        const fields = [];
+        for (const part of splitUnescaped(text.slice(prefix.length), ';')) {
+            const colon = part.indexOf(':');
+            if (colon === -1) continue;
+            fields.push([part.slice(0, colon).toUpperCase(), part.slice(colon + 1)]);
+        }
+        return fields;
+    }
+
+    const WIFI_SECURITY = ['WPA', 'WEP', 'SAE', 'nopass'];
+    const WIFI_SPECIALS = '\\;,:"';
+
+    function wifi({ ssid, password = '', security, hidden = false } = {}) {
+        const type = security || (password ? 'WPA' : 'nopass');
+        if (!ssid) {
+            throw new Error('Wi-Fi payload needs an SSID');
+        }
+        if (!WIFI_SECURITY.includes(type)) {
+            throw new Error(`Unknown Wi-Fi security: ${type} (expected ${WIFI_SECURITY.join(', ')})`);
+        }
+        if (type === 'nopass' ? password : !password) {
+            throw new Error(type === 'nopass' ? 'Open networks take no password' : `${type} networks need a password`);
+        }
+
+        let text = `WIFI:T:${type};S:${backslashEscape(ssid, WIFI_SPECIALS)};`;
+        if (password) text += `P:${backslashEscape(password, WIFI_SPECIALS)};`;
+        if (hidden) text += 'H:true;';
+        return `${text};`;
+    }
+
+    function parseWifi(text) {
+        const result = { ssid: '', password: '', security: 'nopass', hidden: false };
+        for (const [key, value] of parseKeyValues(text, 'WIFI:', 'Wi-Fi')) {
+            if (key === 'S') result.ssid = backslashUnescape(value);
+            if (key === 'P') result.password = backslashUnescape(value);
+            if (key === 'T') result.security = value || 'nopass';
+            if (key === 'H') result.hidden = value.toLowerCase() === 'true';
+        }
+        return result;
+    }
+
+    // Contacts share one shape between vCard and MECARD: firstName, lastName,
+    // organization, title, phone, email, url, address and note. phone and
+    // email take a string or an array and parse back as arrays.
+    const ADDRESS_FIELDS = ['street', 'city', 'region', 'postalCode', 'country'];
+
+    function checkContact(contact) {
+        if (!contact.firstName && !contact.lastName) {
+            throw new Error('Contact needs a first or last name');
+        }
+    }
+
+    // RFC 2426 text values escape backslash, comma, semicolon and newlines
+    function escapeVCardText(text) {
+        return backslashEscape(text, '\\,;').replace(/\r?\n/g, '\\n');
+    }
+
+    function unescapeVCardText(text) {
+        return text.replace(/\\([nN]|.)/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    }
+
+    function vcard(contact = {}) {
+        checkContact(contact);
+        const { firstName = '', lastName = '', organization, title, url, address, note } = contact;
+        const lines = [
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            `N:${escapeVCardText(lastName)};${escapeVCardText(firstName)};;;`,
+            `FN:${escapeVCardText([firstName, lastName].filter(Boolean).join(' '))}`
+        ];
+
+        if (organization) lines.push(`ORG:${escapeVCardText(organization)}`);
+        if (title) lines.push(`TITLE:${escapeVCardText(title)}`);
+        for (const phone of toList(contact.phone)) lines.push(`TEL:${escapeVCardText(phone)}`);
+        for (const email of toList(contact.email)) lines.push(`EMAIL:${escapeVCardText(email)}`);
+        if (url) lines.push(`URL:${escapeVCardText(url)}`);
+        if (address) {
+            const parts = ADDRESS_FIELDS.map(field => escapeVCardText(address[field] || ''));
+            lines.push(`ADR:;;${parts.join(';')}`);
+        }
+        if (note) lines.push(`NOTE:${escapeVCardText(note)}`);
+        lines.push('END:VCARD');
+        return lines.join('\r\n');
+    }
+
+    // Content lines of a vCard or iCalendar object, unfolded, as
+    // { name, params, value } with the name upper-cased and any group dropped
+    function parseContentLines(text) {
+        return text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(Boolean).map(line => {
+            const colon = line.indexOf(':');
+            const head = colon === -1 ? line : line.slice(0, colon);
+            const [name, ...params] = head.split(';');
+            return {
+                name: name.split('.').pop().toUpperCase(),
+                params: params.map(param => param.toUpperCase()),
+                value: colon === -1 ? '' : line.slice(colon + 1)
+            };
+        });
+    }
+
+    function parseVCard(text) {
+        if (typeof text !== 'string' || !/^BEGIN:VCARD\r?\n/i.test(text)) {
+            throw new Error('Not a vCard payload');
+        }
+
+        const contact = { phone: [], email: [] };
+        for (const { name, value } of parseContentLines(text)) {
+            if (name === 'N') {
+                const [lastName = '', firstName = ''] = splitUnescaped(value, ';').map(unescapeVCardText);
+                if (firstName) contact.firstName = firstName;
+                if (lastName) contact.lastName = lastName;
+            } else if (name === 'ADR') {
+                const parts = splitUnescaped(value, ';').map(unescapeVCardText).slice(2);
+                contact.address = {};
+                ADDRESS_FIELDS.forEach((field, i) => {
+                    if (parts[i]) contact.address[field] = parts[i];
+                });
+            } else if (name === 'TEL' || name === 'EMAIL') {
+                contact[name === 'TEL' ? 'phone' : 'email'].push(unescapeVCardText(value));
+            } else {
+                const field = { ORG: 'organization', TITLE: 'title', URL: 'url', NOTE: 'note' }[name];
+                if (field) contact[field] = unescapeVCardText(value);
+            }
+        }
+        return contact;
+    }
+
+    // MECARD (NTT Docomo) escapes backslash, semicolon, comma and colon.
+    // It has no title field, so title is left out.
+    const MECARD_SPECIALS = '\\;,:';
+
+    function mecard(contact = {}) {
+        checkContact(contact);
+        const escape = text => backslashEscape(text, MECARD_SPECIALS);
+        const { firstName = '', lastName = '', organization, url, address, note } = contact;
+
+        let text = `MECARD:N:${escape(lastName)},${escape(firstName)};`;
+        if (organization) text += `ORG:${escape(organization)};`;
+        for (const phone of toList(contact.phone)) text += `TEL:${escape(phone)};`;
+        for (const email of toList(contact.email)) text += `EMAIL:${escape(email)};`;
+        if (url) text += `URL:${escape(url)};`;
+        if (address) {
+            // PO box and extended address come first, as in vCard
+            const parts = ADDRESS_FIELDS.map(field => escape(address[field] || ''));
+            text += `ADR:,,${parts.join(',')};`;
+        }
+        if (note) text += `NOTE:${escape(note)};`;
+        return `${text};`;
+    }
+
+    function parseMecard(text) {
+        const contact = { phone: [], email: [] };
+        for (const [key, value] of parseKeyValues(text, 'MECARD:', 'MECARD')) {
+            if (key === 'N') {
+                const [lastName = '', firstName = ''] = splitUnescaped(value, ',').map(backslashUnescape);
+                if (firstName) contact.firstName = firstName;
+                if (lastName) contact.lastName = lastName;
+            } else if (key === 'ADR') {
+                const parts = splitUnescaped(value, ',').map(backslashUnescape).slice(2);
+                contact.address = {};
+                ADDRESS_FIELDS.forEach((field, i) => {
+                    if (parts[i]) contact.address[field] = parts[i];
+                });
+            } else if (key === 'TEL' || key === 'EMAIL') {
+                contact[key === 'TEL' ? 'phone' : 'email'].push(backslashUnescape(value));
+            } else {
+                const field = { ORG: 'organization', URL: 'url', NOTE: 'note' }[key];
+                if (field) contact[field] = backslashUnescape(value);
+            }
+        }
+        return contact;
+    }
+
+    function pad(value, length = 2) {
+        return String(value).padStart(length, '0');
+    }
+
+    // Timed events are written in UTC; all-day events as local dates
+    function formatICalDate(date, allDay) {
+        if (!(date instanceof Date) || isNaN(date.getTime())) {
+            throw new Error('Event dates must be valid Date objects');
+        }
+        if (allDay) {
+            return `${pad(date.getFullYear(), 4)}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+        }
+        return `${pad(date.getUTCFullYear(), 4)}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T` +
+            `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+    }
+
+    // Floating and TZID times are read as local time
+    function parseICalDate(value) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value);
+        if (!match) {
+            throw new Error(`Invalid iCalendar date: ${value}`);
+        }
+
+        const [, year, month, day, hours = 0, minutes = 0, seconds = 0, utc] = match;
+        const parts = [year, month - 1, day, hours, minutes, seconds].map(Number);
+        return utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+    }
+
+    // For all-day events, end is exclusive: the day after the last day
+    function event({ summary, start, end, allDay = false, location, description } = {}) {
+        if (!summary) {
+            throw new Error('Event needs a summary');
+        }
+        const dateParam = allDay ? ';VALUE=DATE' : '';
+        const lines = [
+            'BEGIN:VEVENT',
+            `SUMMARY:${escapeVCardText(summary)}`,
+            `DTSTART${dateParam}:${formatICalDate(start, allDay)}`
+        ];
+
+        if (end !== undefined) {
+            const endText = formatICalDate(end, allDay);
+            if (end < start) {
+                throw new Error('Event ends before it starts');
+            }
+            lines.push(`DTEND${dateParam}:${endText}`);
+        }
+        if (location) lines.push(`LOCATION:${escapeVCardText(location)}`);
+        if (description) lines.push(`DESCRIPTION:${escapeVCardText(description)}`);
+        lines.push('END:VEVENT');
+        return lines.join('\r\n');
+    }
+
+    // Accepts a bare VEVENT or one wrapped in a VCALENDAR
+    function parseEvent(text) {
+        if (typeof text !== 'string' || !/^BEGIN:(VEVENT|VCALENDAR)\r?\n/i.test(text)) {
+            throw new Error('Not an iCalendar event payload');
+        }
+
+        const result = { allDay: false };
+        let inEvent = false;
+        for (const { name, params, value } of parseContentLines(text)) {
+            if (name === 'BEGIN' || name === 'END') {
+                if (value.toUpperCase() === 'VEVENT') inEvent = name === 'BEGIN';
+                continue;
+            }
+            if (!inEvent) continue;
+
+            if (name === 'DTSTART' || name === 'DTEND') {
+                result[name === 'DTSTART' ? 'start' : 'end'] = parseICalDate(value);
+                if (name === 'DTSTART') result.allDay = params.includes('VALUE=DATE') || value.length === 8;
+            } else {
+                const field = { SUMMARY: 'summary', LOCATION: 'location', DESCRIPTION: 'description' }[name];
+                if (field) result[field] = unescapeVCardText(value);
+            }
+        }
+
+        if (!result.start) {
+            throw new Error('Event has no start date');
+        }
+        return result;
+    }
+
+    function geo({ latitude, longitude, altitude } = {}) {
+        if (!Number.isFinite(latitude) || Math.abs(latitude) > 90) {
+            throw new Error(`Invalid latitude: ${latitude} (expected -90 to 90)`);
+        }
+        if (!Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+            throw new Error(`Invalid longitude: ${longitude} (expected -180 to 180)`);
+        }
+        if (altitude !== undefined && !Number.isFinite(altitude)) {
+            throw new Error(`Invalid altitude: ${altitude}`);
+        }
+
+        return `geo:${latitude},${longitude}${altitude !== undefined ? `,${altitude}` : ''}`;
+    }
+
+    // Parameters such as ;u=35 and queries such as ?q= are ignored
+    function parseGeo(text) {
+        const match = /^geo:(-?[\d.]+),(-?[\d.]+)(?:,(-?[\d.]+))?(?:[;?].*)?$/i.exec(text);
+        if (!match) {
+            throw new Error('Not a geo URI payload');
+        }
+
+        const result = { latitude: Number(match[1]), longitude: Number(match[2]) };
+        if (match[3] !== undefined) result.altitude = Number(match[3]);
+        return result;
+    }
+
+    // Digits with an optional leading + and the RFC 3966 visual separators
+    function checkPhoneNumber(number) {
+        const compact = String(number || '').replace(/\s+/g, '');
+        if (!/^\+?[\d\-.()]*\d[\d\-.()]*$/.test(compact)) {
+            throw new Error(`Invalid phone number: ${number}`);
+        }
+        return compact;
+    }
+
+    function tel(number) {
+        return `tel:${checkPhoneNumber(number)}`;
+    }
+
+    function parseTel(text) {
+        if (typeof text !== 'string' || !/^tel:/i.test(text)) {
+            throw new Error('Not a tel URI payload');
+        }
+        return { number: text.slice(4) };
+    }
+
+    // URI query as decoded [name, value] pairs; + is a literal plus, not a space
+    function parseQuery(query) {
+        return query.split('&').filter(Boolean).map(pair => {
+            const equals = pair.indexOf('=');
+            return equals === -1 ? [pair.toLowerCase(), ''] :
+                [pair.slice(0, equals).toLowerCase(), decodeURIComponent(pair.slice(equals + 1))];
+        });
+    }
+
+    // RFC 5724 sms: URI with the message as the body query parameter
+    function sms({ number, message } = {}) {
+        const body = message ? `?body=${encodeURIComponent(message)}` : '';
+        return `sms:${checkPhoneNumber(number)}${body}`;
+    }
+
+    // Also reads the SMSTO:number:message form many generators write
+    function parseSms(text) {
+        if (typeof text === 'string' && /^smsto:/i.test(text)) {
+            const colon = text.indexOf(':', 6);
+            return colon === -1 ? { number: text.slice(6), message: '' } :
+                { number: text.slice(6, colon), message: text.slice(colon + 1) };
+        }
+        if (typeof text !== 'string' || !/^sms:/i.test(text)) {
+            throw new Error('Not an SMS payload');
+        }
+
+        const [number, query = ''] = text.slice(4).split('?');
+        const body = parseQuery(query).find(([name]) => name === 'body');
+        return { number: decodeURIComponent(number), message: body ? body[1] : '' };
+    }
+
+    function checkEmail(address) {
+        if (!/^[^\s@]+@[^\s@]+$/.test(address)) {
+            throw new Error(`Invalid email address: ${address}`);
+        }
+        return encodeURIComponent(address).replace(/%40/g, '@');
+    }
+
+    // RFC 6068 mailto: URI; to, cc and bcc take a string or an array
+    function mailto({ to, cc, bcc, subject, body } = {}) {
+        const recipients = toList(to);
+        if (recipients.length === 0) {
+            throw new Error('Email payload needs a recipient');
+        }
+
+        const query = [];
+        for (const [name, list] of [['cc', cc], ['bcc', bcc]]) {
+            const addresses = toList(list).map(checkEmail);
+            if (addresses.length) query.push(`${name}=${addresses.join(',')}`);
+        }
+        if (subject) query.push(`subject=${encodeURIComponent(subject)}`);
+        if (body) query.push(`body=${encodeURIComponent(body.replace(/\r?\n/g, '\r\n'))}`);
+
+        return `mailto:${recipients.map(checkEmail).join(',')}${query.length ? `?${query.join('&')}` : ''}`;
+    }
+
+    function parseMailto(text) {
+        if (typeof text !== 'string' || !/^mailto:/i.test(text)) {
+            throw new Error('Not a mailto URI payload');
+        }
+
+        const [to, query = ''] = text.slice(7).split('?');
+        const result = { to: to.split(',').filter(Boolean).map(decodeURIComponent) };
+        for (const [name, value] of parseQuery(query)) {
+            if (name === 'cc' || name === 'bcc') result[name] = value.split(',').filter(Boolean);
+            if (name === 'subject') result.subject = value;
+            if (name === 'body') result.body = value.replace(/\r\n/g, '\n');
+        }
+        return result;
+    }
+
+    // EPC069-12 SEPA credit transfer ("GiroCode"); scanners expect ECC level M
+    const EPC_MAX_BYTES = 331;
+    const EPC_FIELD_LENGTHS = { name: 70, reference: 35, text: 140, information: 70 };
+
+    // ISO 13616: move the country code and check digits to the end, turn
+    // letters into 10-35 and the remainder mod 97 must be 1
+    function ibanChecksum(iban) {
+        const rearranged = iban.slice(4) + iban.slice(0, 4);
+        let remainder = 0;
+        for (const char of rearranged) {
+            const value = parseInt(char, 36);
+            remainder = (value > 9 ? remainder * 100 + value : remainder * 10 + value) % 97;
+        }
+        return remainder;
+    }
+
+    function checkEpcFields(fields) {
+        const { version, bic, name, iban, amount, purpose, reference, text } = fields;
+
+        if (version !== 1 && version !== 2) {
+            throw new Error(`Unknown EPC version: ${version} (expected 1 or 2)`);
+        }
+        if (bic ? !/^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(bic) : version === 1) {
+            throw new Error(bic ? `Invalid BIC: ${bic}` : 'EPC version 1 needs a BIC');
+        }
+        if (!name) {
+            throw new Error('EPC payload needs a beneficiary name');
+        }
+        if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban) || ibanChecksum(iban) !== 1) {
+            throw new Error(`Invalid IBAN: ${iban}`);
+        }
+        if (amount !== undefined &&
+            (!Number.isFinite(amount) || amount < 0.01 || amount > 999999999.99 ||
+             Math.abs(amount * 100 - Math.round(amount * 100)) > 1e-6)) {
+            throw new Error(`Invalid amount: ${amount} (expected 0.01 to 999999999.99, whole cents)`);
+        }
+        if (purpose && !/^[A-Z0-9]{4}$/.test(purpose)) {
+            throw new Error(`Invalid purpose code: ${purpose} (expected 4 characters)`);
+        }
+        if (reference && text) {
+            throw new Error('EPC payload takes a structured reference or remittance text, not both');
+        }
+        for (const field of Object.keys(EPC_FIELD_LENGTHS)) {
+            if (fields[field] && fields[field].length > EPC_FIELD_LENGTHS[field]) {
+                throw new Error(`EPC ${field} exceeds ${EPC_FIELD_LENGTHS[field]} characters`);
+            }
+        }
+    }
+
+    function epc(options = {}) {
+        const fields = Object.assign({ version: 2 }, options, {
+            iban: String(options.iban || '').replace(/\s+/g, '').toUpperCase(),
+            bic: options.bic ? String(options.bic).replace(/\s+/g, '').toUpperCase() : undefined
+        });
+        checkEpcFields(fields);
+
+        const lines = [
+            'BCD',
+            pad(fields.version, 3),
+            '1',
+            'SCT',
+            fields.bic || '',
+            fields.name,
+            fields.iban,
+            fields.amount !== undefined ? `EUR${fields.amount.toFixed(2)}` : '',
+            fields.purpose || '',
+            fields.reference || '',
+            fields.text || '',
+            fields.information || ''
+        ];
+        // No separator may follow the last populated field
+        while (lines[lines.length - 1] === '') lines.pop();
+
+        const payload = lines.join('\n');
+        if (encodeText(payload).length > EPC_MAX_BYTES) {
+            throw new Error(`EPC payload exceeds ${EPC_MAX_BYTES} bytes`);
+        }
+        return payload;
+    }
+
+    function parseEpc(text) {
+        const lines = typeof text === 'string' ? text.split(/\r?\n/) : [];
+        if (lines[0] !== 'BCD' || lines[3] !== 'SCT') {
+            throw new Error('Not an EPC payload');
+        }
+        if (lines[2] !== '1') {
+            throw new Error(`Unsupported EPC character set: ${lines[2]} (expected 1, UTF-8)`);
+        }
+
+        const [, version, , , bic, name, iban, amount, purpose, reference, remittance, information] = lines;
+        const result = { version: Number(version), name, iban };
+        if (bic) result.bic = bic;
+        if (amount) {
+            if (!/^EUR\d+(\.\d{1,2})?$/.test(amount)) {
+                throw new Error(`Invalid EPC amount: ${amount}`);
+            }
+            result.amount = Number(amount.slice(3));
+        }
+        if (purpose) result.purpose = purpose;
+        if (reference) result.reference = reference;
+        if (remittance) result.text = remittance;
+        if (information) result.information = information;
+
+        checkEpcFields(result);
+        return result;
+    }
+
+    // Recognize any of the payloads above; null for other text
+    function parsePayload(text) {
+        const parsers = [
+            ['wifi', /^WIFI:/i, parseWifi],
+            ['vcard', /^BEGIN:VCARD\r?\n/i, parseVCard],
+            ['mecard', /^MECARD:/i, parseMecard],
+            ['event', /^BEGIN:(VEVENT|VCALENDAR)\r?\n/i, parseEvent],
+            ['geo', /^geo:/i, parseGeo],
+            ['sms', /^(sms|smsto):/i, parseSms],
+            ['tel', /^tel:/i, parseTel],
+            ['mailto', /^mailto:/i, parseMailto],
+            ['epc', /^BCD\r?\n/, parseEpc]
+        ];
+
+        const entry = typeof text === 'string' ? parsers.find(([, pattern]) => pattern.test(text)) : null;
+        return entry ? Object.assign({ type: entry[0] }, entry[2](text)) : null;
+    }
+
+    const payloads = {
+        wifi,
+        vcard,
+        mecard,
+        event,
+        geo,
+        sms,
+        tel,
+        mailto,
+        epc,
+        parse: parsePayload,
+        parseWifi,
+        parseVCard,
+        parseMecard,
+        parseEvent,
+        parseGeo,
+        parseSms,
+        parseTel,
+        parseMailto,
+        parseEpc
+    };
+
+    // ============================================================
+    // ASYNCHRONOUS GENERATION
+    // ============================================================
+
+    // Workers load this file again: by URL in browsers, by path in Node
+    const SCRIPT_URL = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : null;
+    const SCRIPT_PATH = typeof __filename !== 'undefined' ? __filename : null;
+    const MAX_POOL_SIZE = 4;
+
+    const workerPool = {
+        size: null,
+        scriptUrl: SCRIPT_URL,
+        slots: [],
+        queue: [],
+        failed: false,
+        nextId: 1
+    };
+
+    // Runs in the workers as well, where only generate and toRaster are in scope
+    function runJob({ data, options, raster }) {
+        const result = generate(data, options);
+        if (raster) result.raster = toRaster(result, raster);
+        return result;
+    }
+
+    const WORKER_SOURCE = `
+        const { generate, toRaster } = QRCode;
+        ${runJob}
+        function handle(message, reply) {
+            try {
+                const result = runJob(message);
+                reply({ id: message.id, result }, result.raster ? [result.raster.data.buffer] : []);
+            } catch (error) {
+                reply({ id: message.id, error: Object.assign({ name: error.name, message: error.message }, error) }, []);
+            }
+        }`;
+
+    // One worker per core, leaving one for the page, up to MAX_POOL_SIZE
+    function getPoolSize() {
+        if (workerPool.size !== null) return workerPool.size;
+        let cores = 2;
+        if (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) {
+            cores = navigator.hardwareConcurrency;
+        } else if (SCRIPT_PATH) {
+            cores = require('os').cpus().length;
+        }
+        return Math.max(1, Math.min(MAX_POOL_SIZE, cores - 1));
+    }
+
+    // A worker_threads Worker in Node, a Web Worker from a blob in browsers,
+    // or null where neither can load this file
+    function createWorker() {
+        if (SCRIPT_PATH && typeof require === 'function') {
+            const { Worker } = require('worker_threads');
+            const source = `const QRCode = require(${JSON.stringify(SCRIPT_PATH)});\n` +
+                `const { parentPort } = require('worker_threads');\n${WORKER_SOURCE}\n` +
+                'parentPort.on(\'message\', message => handle(message, (reply, transfer) => parentPort.postMessage(reply, transfer)));';
+            return new Worker(source, { eval: true });
+        }
+
+        if (typeof Worker === 'undefined' || typeof Blob === 'undefined' || !workerPool.scriptUrl) return null;
+        const source = `importScripts(${JSON.stringify(workerPool.scriptUrl)});\n${WORKER_SOURCE}\n` +
+            'self.onmessage = event => handle(event.data, (reply, transfer) => self.postMessage(reply, transfer));';
+        const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+        try {
+            return new Worker(url);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    function createSlot() {
+        if (workerPool.failed) return null;
+
+        let worker;
+        try {
+            worker = createWorker();
+        } catch (e) {
+            worker = null;
+        }
+        if (!worker) {
+            workerPool.failed = true;
+            return null;
+        }
+
+        const slot = { worker, job: null };
+        const onMessage = reply => finishSlotJob(slot, reply);
+        // Generation errors come back as messages, so an error event means the
+        // worker itself broke, e.g. the script could not load
+        const onError = () => {
+            workerPool.failed = true;
+            const job = slot.job;
+            removeSlot(slot);
+            if (job) runOnMainThread(job);
+        };
+
+        if (typeof worker.on === 'function') {
+            worker.on('message', onMessage);
+            worker.on('error', onError);
+            worker.unref();
+        } else {
+            worker.addEventListener('message', event => onMessage(event.data));
+            worker.addEventListener('error', event => {
+                event.preventDefault();
+                onError();
+            });
+        }
+
+        workerPool.slots.push(slot);
+        return slot;
+    }
+
+    function removeSlot(slot) {
+        workerPool.slots = workerPool.slots.filter(other => other !== slot);
+        slot.worker.terminate();
+    }
+
+    function makeAbortError(signal) {
+        if (signal.reason !== undefined) return signal.reason;
+        if (typeof DOMException !== 'undefined') return new DOMException('The operation was aborted', 'AbortError');
+        return Object.assign(new Error('The operation was aborted'), { name: 'AbortError' });
+    }
+
+    function settle(job, error, result) {
+        if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+        if (error) {
+            job.reject(error);
+        } else {
+            job.resolve(result);
+        }
+    }
+
+    // Errors arrive as plain objects; typed errors keep their class and details
+    function reviveError({ name, message, ...details }) {
+        if (ERROR_TYPES[name]) return new ERROR_TYPES[name](message, details);
+        return Object.assign(new Error(message), { name });
+    }
+
+    function finishSlotJob(slot, reply) {
+        const job = slot.job;
+        slot.job = null;
+        if (slot.worker.unref) slot.worker.unref();
+        if (workerPool.slots.length > getPoolSize()) removeSlot(slot);
+
+        if (job) {
+            settle(job, reply.error ? reviveError(reply.error) : null, reply.result);
+        }
+        dispatch();
+    }
+
+    function runOnMainThread(job) {
+        job.timer = setTimeout(() => {
+            job.timer = null;
+            let result;
+            try {
+                result = runJob(job.message);
+            } catch (error) {
+                settle(job, error);
+                return;
+            }
+            settle(job, null, result);
+        }, 0);
+    }
+
+    // Hand queued jobs to idle workers, starting workers up to the pool size
+    function dispatch() {
+        while (workerPool.queue.length > 0) {
+            let slot = workerPool.slots.find(candidate => !candidate.job);
+            if (!slot && workerPool.slots.length < getPoolSize()) slot = createSlot();
+            if (!slot && workerPool.slots.length === 0) {
+                runOnMainThread(workerPool.queue.shift());
+                continue;
+            }
+            if (!slot) return;
+
+            const job = workerPool.queue.shift();
+            slot.job = job;
+            if (slot.worker.ref) slot.worker.ref();
+            try {
+                slot.worker.postMessage(job.message);
+            } catch (e) {
+                // Options that cannot be cloned, such as a logo image element
+                slot.job = null;
+                if (slot.worker.unref) slot.worker.unref();
+                runOnMainThread(job);
+            }
+        }
+    }
+
+    // Stop the job wherever it is: waiting in the queue, on the main thread,
+    // or in a worker, which is terminated because generation cannot be
+    // interrupted
+    function abortJob(job) {
+        workerPool.queue = workerPool.queue.filter(other => other !== job);
+        if (job.timer) clearTimeout(job.timer);
+        const slot = workerPool.slots.find(candidate => candidate.job === job);
+        if (slot) removeSlot(slot);
+
+        settle(job, makeAbortError(job.signal));
+        dispatch();
+    }
+
+    // generate() in a worker, resolving to the same result. options.raster
+    // adds result.raster from toRaster(), its pixel buffer transferred
+    // rather than copied; options.signal cancels the request.
+    function generateAsync(data, options = {}) {
+        const { signal, raster, ...generateOptions } = typeof options === 'string' ? { eccLevel: options } : options;
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(makeAbortError(signal));
+                return;
+            }
+
+            const job = {
+                message: { id: workerPool.nextId++, data, options: generateOptions, raster },
+                resolve,
+                reject,
+                signal,
+                timer: null
+            };
+            if (signal) {
+                job.onAbort = () => abortJob(job);
+                signal.addEventListener('abort', job.onAbort);
+            }
+
+            workerPool.queue.push(job);
+            dispatch();
+        });
+    }
+
+    // size: number of workers (0 runs jobs on the main thread, between
+    // tasks); scriptUrl: where workers load qrcode.js from, for pages that
+    // bundle it. Idle workers are stopped so the settings apply to new ones.
+    function configureWorkers({ size, scriptUrl } = {}) {
+        if (size !== undefined) {
+            if (size !== null && (!Number.isInteger(size) || size < 0)) {
+                throw new Error('Worker pool size must be a non-negative integer');
+            }
+            workerPool.size = size;
+        }
+        if (scriptUrl !== undefined) workerPool.scriptUrl = scriptUrl;
+
+        workerPool.failed = false;
+        for (const slot of workerPool.slots.filter(candidate => !candidate.job)) {
+            removeSlot(slot);
+        }
+    }
+
+    // ============================================================
+    // CUSTOM ELEMENT
+    // ============================================================
+
+    const ELEMENT_ATTRIBUTES = ['data', 'ecc', 'module-size', 'margin', 'foreground', 'background', 'output', 'label'];
+
+    // <qr-code data="..." ecc="H" module-size="6" output="svg"> renders into
+    // its shadow root and re-renders once per batch of attribute changes.
+    // The class is created on demand because HTMLElement only exists in
+    // browsers; it is registered as qr-code when qrcode.js loads.
+    function defineElement(name = 'qr-code') {
+        const existing = customElements.get(name);
+        if (existing) return existing;
+
+        class QRCodeElement extends HTMLElement {
+            static get observedAttributes() {
+                return ELEMENT_ATTRIBUTES;
+            }
+
+            constructor() {
+                super();
+                this.attachShadow({ mode: 'open' });
+                this.result = null;
+                this.renderPending = false;
+            }
+
+            connectedCallback() {
+                this.render();
+            }
+
+            attributeChangedCallback() {
+                if (this.renderPending || !this.isConnected) return;
+                this.renderPending = true;
+                queueMicrotask(() => {
+                    if (this.renderPending) this.render();
+                });
+            }
+
+            // Render now; invalid data or options clear the output and fire
+            // qr-error instead of throwing
+            render() {
+                this.renderPending = false;
+                const data = this.getAttribute('data') || '';
+                const output = this.getAttribute('output') || 'canvas';
+                this.shadowRoot.innerHTML = '<style>:host { display: inline-block; line-height: 0; }</style>';
+                this.updateLabel(data);
+
+                if (!data) {
+                    this.result = null;
+                    return null;
+                }
+
+                try {
+                    if (output !== 'canvas' && output !== 'svg') {
+                        throw new Error(`Unknown output: ${output} (expected canvas or svg)`);
+                    }
+                    const qr = generate(data, this.getAttribute('ecc') || 'M');
+                    const options = this.getRenderOptions();
+
+                    if (output === 'svg') {
+                        const container = document.createElement('div');
+                        container.innerHTML = toSVG(qr, Object.assign({ moduleSize: this.getModuleSize() }, options));
+                        const svg = container.firstElementChild;
+                        svg.setAttribute('aria-hidden', 'true');
+                        this.shadowRoot.appendChild(svg);
+                    } else {
+                        const canvas = document.createElement('canvas');
+                        canvas.setAttribute('aria-hidden', 'true');
+                        render(canvas, qr, this.getModuleSize(), options);
+                        this.shadowRoot.appendChild(canvas);
+                    }
+
+                    this.result = qr;
+                    this.dispatchEvent(new CustomEvent('qr-generated', { detail: qr, bubbles: true, composed: true }));
+                    return qr;
+                } catch (error) {
+                    this.shadowRoot.innerHTML = '';
+                    this.result = null;
+                    this.dispatchEvent(new CustomEvent('qr-error', {
+                        detail: { error, message: error.message },
+                        bubbles: true,
+                        composed: true
+                    }));
+                    return null;
+                }
+            }
+
+            getModuleSize() {
+                const value = this.getAttribute('module-size');
+                if (value === null) return 8;
+                const moduleSize = Number(value);
+                if (!Number.isInteger(moduleSize) || moduleSize < 1) {
+                    throw new Error(`Invalid module-size: ${value} (expected a positive integer)`);
+                }
+                return moduleSize;
+            }
+
+            // Only the options that are set, so render() keeps its plain path
+            getRenderOptions() {
+                const options = {};
+                if (this.hasAttribute('margin')) options.margin = Number(this.getAttribute('margin'));
+                if (this.hasAttribute('foreground')) options.foreground = this.getAttribute('foreground');
+                if (this.hasAttribute('background')) options.background = this.getAttribute('background');
+                return options;
+            }
+
+            // The symbol is exposed as one image; the drawing inside is hidden
+            updateLabel(data) {
+                if (!this.hasAttribute('role')) this.setAttribute('role', 'img');
+                const label = this.getAttribute('label') || (data ? `QR code: ${data}` : 'QR code');
+                this.setAttribute('aria-label', label);
+            }
+        }
+
+        customElements.define(name, QRCodeElement);
+        return QRCodeElement;
+    }
+
+    if (typeof customElements !== 'undefined' && typeof HTMLElement !== 'undefined') {
+        defineElement();
     }
 
     // Public API
     return {
         generate,
+        generateStructured,
+        capacity,
+        generateAsync,
+        configureWorkers,
+        decode,
+        validate,
+        scan,
         render,
+        toSVG,
+        checkStyle,
+        printSize,
+        toString,
+        toRaster,
+        toPNG,
+        toPDF,
+        toContours,
+        toDXF,
+        toGCode,
+        payloads,
+        defineElement,
+        QRCodeError,
+        DataTooLongError,
+        InvalidEccLevelError,
+        EmptyDataError,
 
         // Expose for testing
         _internal: {
             detectMode,
+            makeSegments,
+            getSegmentBits,
             encodeNumeric,
             encodeAlphanumeric,
             encodeByte,
+            encodeKanji,
+            encodeECI,
+            encodeFNC1,
+            getDarkRectangles,
+            buildStyledLayers,
+            analyzeLogoArea,
+            parseColor,
+            crc32,
+            adler32,
+            deflate,
+            parseGS1,
+            gs1CheckDigit,
+            ibanChecksum,
             calculateECC,
+            correctErrors,
+            getSymbolTemplate,
+            placeDataModules,
+            applyMask,
+            selectBestMask,
             evaluateMask,
+            evaluateMicroMask,
             MASK_PATTERNS,
+            MICRO_MASKS,
             BYTE_CAPACITY,
             ECC_TABLE,
+            MICRO_ECC_TABLE,
             FORMAT_INFO,
+            MICRO_FORMAT_INFO,
             VERSION_INFO,
-            ALIGNMENT_PATTERNS
+            ALIGNMENT_PATTERNS,
+            RMQR_VERSIONS,
+            RMQR_FORMAT_INFO
         }
     };
 })();